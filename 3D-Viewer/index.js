@@ -1,11 +1,46 @@
+import { EmbedAPI } from "./js/embed/EmbedAPI.js";
+import { PointerOrbitControls } from "./js/controls/PointerOrbitControls.js";
+import { LoadError, LoadErrorCategory } from "./js/loaders/LoadError.js";
+import { LocalFiles } from "./js/loaders/LocalFiles.js";
+import { ModelLoader } from "./js/loaders/ModelLoader.js";
+import { setupDecoders } from "./js/loaders/Decoders.js";
+import { LoadingOverlay } from "./js/ui/LoadingOverlay.js";
+import { AnimationPlayer } from "./js/animation/AnimationPlayer.js";
+import { AnimationPanel } from "./js/ui/AnimationPanel.js";
+import { frameCamera } from "./js/camera/Framing.js";
+import { EnvironmentLighting } from "./js/lighting/EnvironmentLighting.js";
+import { captureImage, downloadBlob } from "./js/capture/Screenshot.js";
+import { recordTurntable } from "./js/capture/Turntable.js";
+import { parseConfig } from "./js/config/ViewerConfig.js";
+import { HotspotLayer, parseHotspots, hotspotsFromExtras } from "./js/hotspots/HotspotLayer.js";
+import { HotspotCard } from "./js/ui/HotspotCard.js";
+import { InspectorPanel } from "./js/ui/InspectorPanel.js";
+import { RenderModeSwitcher } from "./js/debug/RenderModes.js";
+import { MeasureTool } from "./js/measure/MeasureTool.js";
+import { ClippingPlanes, MAX_CLIP_PLANES, parseClipPlane } from "./js/clipping/ClippingPlanes.js";
+import { ClippingPanel } from "./js/ui/ClippingPanel.js";
+import { ExplodedView } from "./js/explode/ExplodedView.js";
+import { ModelSet } from "./js/scene/ModelSet.js";
+import { ComparisonView } from "./js/compare/ComparisonView.js";
+import { Ground, fitShadowCamera } from "./js/scene/Ground.js";
+import { Announcer } from "./js/ui/Announcer.js";
+
+//url parameters
+const config = parseConfig(window.location.search);
+if (!config.ui)
+    document.body.classList.add("no-ui");
+
 //init scene
 const scene = new THREE.Scene();
-scene.background = new THREE.Color(0xe0e0e0);
+scene.background = new THREE.Color(config.background);
+document.body.style.backgroundColor = config.background;
+
+const container = document.getElementById("canvas-container");
 
 //init camera
 const camera = new THREE.PerspectiveCamera(
-    75,
-    window.innerWidth / window.innerHeight,
+    config.fov,
+    container.clientWidth / Math.max(1, container.clientHeight),
     0.1,
     1000
 );
@@ -15,9 +50,8 @@ camera.position.y = 0;
 //init renderer
 const renderer = new THREE.WebGLRenderer();
 
-renderer.shadowMap.enabled = true;
+renderer.shadowMap.enabled = config.shadows;
 renderer.shadowMap.type = THREE.PCFSoftShadowMap;
-const container = document.getElementById("canvas-container");
 var canvasHeight = container.clientHeight;
 var canvasWidth = container.clientWidth;
 renderer.setSize(
@@ -26,96 +60,507 @@ renderer.setSize(
 );
 container.appendChild(renderer.domElement);
 
+//the canvas takes keyboard focus and describes the model to screen readers
+const canvas = renderer.domElement;
+const announcer = new Announcer(document.getElementById("announcer"));
+canvas.tabIndex = 0;
+canvas.setAttribute("role", "application");
+canvas.setAttribute("aria-roledescription", "3D viewer");
+canvas.setAttribute("aria-describedby", "keyboard-help");
+setAlt(config.alt);
+
+/**
+ * @param {string|null} text description of the model read by screen readers, null for a generic one
+ */
+function setAlt(text) {
+    canvas.setAttribute("aria-label", text != null && text != "" ? text : "3D model");
+}
+
+//render loop: draw only when something changed, stop entirely while off screen
+var renderOnDemand = config.renderOnDemand;
+var needsRender = true;
+var frameRequested = false;
+var onScreen = true;
+
+function requestRender() {
+    needsRender = true;
+    if (!frameRequested && isVisible()) {
+        frameRequested = true;
+        requestAnimationFrame(Update);
+    }
+}
+
+function isVisible() {
+    return onScreen && !document.hidden;
+}
+
+if (typeof IntersectionObserver != "undefined") {
+    new IntersectionObserver(function (entries) {
+        onScreen = entries[entries.length - 1].isIntersecting;
+        requestRender();
+    }).observe(container);
+}
+document.addEventListener('visibilitychange', function () {
+    requestRender();
+}, false);
+
+//keep the canvas, camera aspect and pixel ratio in sync with the container
+var maxPixelRatio = config.maxPixelRatio;
+
+function resize() {
+    canvasWidth = container.clientWidth;
+    canvasHeight = container.clientHeight;
+    if (canvasWidth == 0 || canvasHeight == 0)
+        return;
+
+    renderer.setPixelRatio(Math.min(window.devicePixelRatio || 1, maxPixelRatio));
+    renderer.setSize(canvasWidth, canvasHeight);
+    camera.aspect = comparison != undefined ? comparison.aspect(canvasWidth, canvasHeight) : canvasWidth / canvasHeight;
+    camera.updateProjectionMatrix();
+    if (pivot != undefined)
+        fitCamera();
+    requestRender();
+}
+
+resize();
+if (typeof ResizeObserver != "undefined")
+    new ResizeObserver(resize).observe(container);
+else
+    window.addEventListener('resize', resize, false);
+
+//devicePixelRatio changes without a resize when the window moves to another screen
+function watchPixelRatio() {
+    var query = window.matchMedia("(resolution: " + (window.devicePixelRatio || 1) + "dppx)");
+    function onChange() {
+        //Safari before 14 only has the older addListener
+        if (query.removeEventListener)
+            query.removeEventListener('change', onChange, false);
+        else
+            query.removeListener(onChange);
+        resize();
+        watchPixelRatio();
+    }
+    if (query.addEventListener)
+        query.addEventListener('change', onChange, false);
+    else if (query.addListener)
+        query.addListener(onChange);
+}
+if (window.matchMedia)
+    watchPixelRatio();
+
 //Create a DirectionalLight and turn on shadows for the light
 const light = new THREE.DirectionalLight(0xffffff, 1, 1);
 light.position.set(0, 1, 0);
-light.castShadow = true;
+light.castShadow = config.shadows;
 light.shadow.mapSize.width = 512;
 light.shadow.mapSize.height = 512;
 light.shadow.camera.near = 0.5;
 light.shadow.camera.far = 500;
+light.shadow.bias = - 0.0005;
 scene.add(light);
 
 //Create ambient Light
 const ambientLight = new THREE.AmbientLight(0x404040, 1);
 scene.add(ambientLight);
 
-//object loader init
-var objModel = undefined;
-var pivot = undefined;
-const gltfLoader = new THREE.GLTFLoader();
-var autoRotate = true;
-var waitAutoRotate = false;
-var autoRotateTimeOut = 100;
-var aRCounter = 0;
+//image-based lighting and tone mapping
+const lighting = new EnvironmentLighting(renderer, scene);
+const toneMappingSelect = document.getElementById("tone-mapping-select");
+const exposureInput = document.getElementById("exposure-input");
 
-//mouse events
-var mouse = new THREE.Vector2();
-var lastMouse = new THREE.Vector2();
-var difference = new THREE.Vector2();
-var basicScale = new THREE.Vector3();
-basicScale.x = 1;
-basicScale.y = 1;
-basicScale.z = 1;
-var isMouseDown = false;
-function onMouseMove(event) {
-    if (isMouseDown != true)
-        return;
-    if (pivot == undefined)
-        return;
+function setToneMapping(name) {
+    lighting.setToneMapping(name);
+    toneMappingSelect.value = name;
+    requestRender();
+}
+
+function setExposure(value) {
+    lighting.setExposure(value);
+    exposureInput.value = value;
+    requestRender();
+}
 
-    mouse.x = (event.clientX / window.innerWidth) * 2 - 1;
-    mouse.y = - (event.clientY / window.innerHeight) * 2 + 1;
+function setEnvironment(source) {
+    return lighting.setEnvironment(source).catch(function (error) {
+        //a newer environment has been asked for meanwhile, leave it be
+        if (lighting.source == source) {
+            console.warn("3D-Viewer: could not load environment " + source + ", using the studio environment", error);
+            lighting.setEnvironment("studio");
+        }
+        throw error;
+    }).finally(requestRender);
+}
 
-    difference.x = mouse.x - lastMouse.x;
-    difference.y = mouse.y - lastMouse.y;
+setToneMapping(config.toneMapping);
+setExposure(config.exposure);
+//already warned about and replaced by the studio environment
+setEnvironment(config.environment).catch(function () {});
 
-    lastMouse.x = mouse.x;
-    lastMouse.y = mouse.y;
+toneMappingSelect.addEventListener('change', function () {
+    setToneMapping(toneMappingSelect.value);
+}, false);
+exposureInput.addEventListener('input', function () {
+    setExposure(Number(exposureInput.value));
+}, false);
 
-    pivot.rotation.y += difference.x * 2;
-    pivot.rotation.x -= difference.y;
+//loading progress and errors
+const overlay = new LoadingOverlay(document.getElementById("loading-overlay"), function () {
+    retryFailedLoads();
+});
 
-    if (pivot.rotation.x > 1)
-        pivot.rotation.x = 1;
-    else if (pivot.rotation.x < -1)
-        pivot.rotation.x = -1;
+//animation playback
+const animationPlayer = new AnimationPlayer();
+const animationPanel = new AnimationPanel(document.getElementById("animation-panel"), animationPlayer);
+animationPlayer.onChange = function () {
+    animationPanel.refresh();
+    requestRender();
+};
+const clock = new THREE.Clock();
+
+//scene graph, materials and render stats
+const inspector = new InspectorPanel(document.getElementById("inspector-panel"), renderer, requestRender);
+const inspectorButton = document.getElementById("inspector-button");
+inspectorButton.addEventListener('click', function () {
+    inspector.visible = !inspector.visible;
+    inspectorButton.setAttribute("aria-expanded", String(inspector.visible));
+}, false);
+
+//debug render modes, applied to every model as it loads
+const renderModes = new RenderModeSwitcher();
+//what the inspector and the comparison labels describe, rather than the debug materials
+function loadedMesh(mesh) {
+    return renderModes.original(mesh);
 }
+const renderModeSelect = document.getElementById("render-mode-select");
 
-function onMouseDown(event) {
-    isMouseDown = true;
-    lastMouse.x = (event.clientX / window.innerWidth) * 2 - 1;
-    lastMouse.y = - (event.clientY / window.innerHeight) * 2 + 1;
-    autoRotate = false;
-    waitAutoRotate = false;
+function setRenderMode(mode) {
+    renderModes.setMode(mode);
+    renderModeSelect.value = mode;
+    requestRender();
+}
+
+setRenderMode(config.renderMode);
+renderModeSelect.addEventListener('change', function () {
+    setRenderMode(renderModeSelect.value);
+}, false);
+
+//click-to-measure and bounding-box dimensions, in model units
+const measureTool = new MeasureTool(document.getElementById("measure-layer"), camera, renderer.domElement, {
+    unit: config.unit,
+    onChange: requestRender,
+    onMeasure: function (measurement) {
+        embed.emit("measure", { distance: measurement.distance, points: measurement.points, unit: measureTool.unit });
+    }
+});
+const measureButton = document.getElementById("measure-button");
+const dimensionsButton = document.getElementById("dimensions-button");
+
+function setMeasuring(enabled) {
+    measureTool.setEnabled(enabled);
+    measureButton.setAttribute("aria-pressed", String(measureTool.enabled));
 }
 
-function onMouseUp(event) {
-    isMouseDown = false;
-    waitAutoRotate = true;
+function setDimensionsVisible(visible) {
+    measureTool.setDimensionsVisible(visible);
+    dimensionsButton.setAttribute("aria-pressed", String(measureTool.dimensionsVisible));
 }
 
-function onWheel(event) {
-    if (pivot == undefined)
-        return;
+setDimensionsVisible(config.dimensions);
+measureButton.addEventListener('click', function () {
+    setMeasuring(!measureTool.enabled);
+}, false);
+dimensionsButton.addEventListener('click', function () {
+    setDimensionsVisible(!measureTool.dimensionsVisible);
+}, false);
+
+//section planes, from the panel, the clip parameters and the embed API
+const clipping = new ClippingPlanes(renderer, camera, {
+    onChange: requestRender,
+    onPlanesChange: onClippingChange
+});
+//the same array the materials are clipped with, so it stays current
+measureTool.clippingPlanes = clipping.clippingPlanes;
+const clippingButton = document.getElementById("clipping-button");
+const clippingPanel = new ClippingPanel(document.getElementById("clipping-panel"), clipping, onClippingChange);
+
+function onClippingChange() {
+    clippingPanel.refresh();
+    embed.emit("clipChange", { planes: clipping.toJSON(), caps: clipping.caps });
+}
+
+//this page's address with the current section in its parameters, for sharing
+function clippingURL() {
+    var url = new URL(window.location.href);
+    url.searchParams.delete("clip");
+    url.searchParams.delete("clipCaps");
+    clipping.toParams().forEach((value) => url.searchParams.append("clip", value));
+    if (!clipping.caps)
+        url.searchParams.set("clipCaps", "false");
+    return url.href;
+}
+
+config.clip.forEach(function (value, index) {
+    var plane = parseClipPlane(value);
+    if (index >= MAX_CLIP_PLANES)
+        console.warn("3D-Viewer: at most " + MAX_CLIP_PLANES + " clip parameters are used, ignoring " + value);
+    else if (plane == null)
+        console.warn("3D-Viewer: invalid value \"" + value + "\" for clip, expected an axis or a normal, optionally followed by :position");
+    else
+        clipping.setPlane(index, plane);
+});
+clipping.setCaps(config.clipCaps);
+clippingPanel.refresh();
+clippingButton.addEventListener('click', function () {
+    var panel = clippingPanel.element;
+    panel.hidden = !panel.hidden;
+    clippingButton.setAttribute("aria-expanded", String(!panel.hidden));
+    clipping.setGizmosVisible(!panel.hidden && comparison.mode != "split");
+}, false);
+clippingPanel.element.elements.copyLink.addEventListener('click', function () {
+    var url = clippingURL();
+    //navigator.clipboard only exists on secure pages
+    Promise.resolve().then(() => navigator.clipboard.writeText(url)).catch(function (error) {
+        console.error(error);
+        window.prompt("Copy this link", url);
+    });
+}, false);
+
+//assemblies pulled apart along their parts' offsets
+const explodedView = new ExplodedView();
+const explodeControl = document.getElementById("explode-control");
+const explodeInput = document.getElementById("explode-input");
+const explodeResetButton = document.getElementById("explode-reset-button");
+
+/**
+ * @param {number} amount 0-1
+ * @param {boolean} [animate] false jumps there
+ */
+function setExplode(amount, animate) {
+    explodedView.setAmount(amount, animate);
+    explodeInput.value = explodedView.target;
+    requestRender();
+}
+
+//the controls only make sense for models with several parts
+function showExplodeControls() {
+    explodeControl.hidden = !explodedView.explodable;
+    explodeResetButton.hidden = !explodedView.explodable;
+}
+
+setExplode(config.explode, false);
+explodeInput.addEventListener('input', function () {
+    setExplode(Number(explodeInput.value));
+}, false);
+explodeResetButton.addEventListener('click', function () {
+    setExplode(0);
+}, false);
+
+//KHR_materials_variants of the active model
+const variantSelect = document.getElementById("variant-select");
+
+function showVariants(entry) {
+    var names = entry == null ? [] : entry.variants;
+    variantSelect.innerHTML = "";
+    ["Default"].concat(names).forEach(function (name, index) {
+        var option = document.createElement("option");
+        option.value = index == 0 ? "" : name;
+        option.textContent = name;
+        variantSelect.appendChild(option);
+    });
+    variantSelect.value = entry == null || entry.variant == null ? "" : entry.variant;
+    variantSelect.hidden = names.length == 0;
+}
+
+/**
+ * @param {string|null} name a variant name, or null for the default materials
+ * @param {Object} [entry] the model, the active one by default
+ * @returns {Promise} resolved once the variant's materials and textures are loaded and shown
+ */
+function setVariant(name, entry) {
+    entry = entry || activeModel;
+    if (entry == null || entry.selectVariant == null)
+        return Promise.reject(new Error("The model has no material variants"));
+    return entry.selectVariant(name).then(function () {
+        if (models.entries.indexOf(entry) < 0)
+            return;
+        entry.variant = name;
+        if (entry == activeModel) {
+            variantSelect.value = name == null ? "" : name;
+            inspector.setModel(objModel, loadedMesh);
+        }
+        //put the debug view back on top of the new materials
+        renderModes.setMode(renderModes.mode);
+        requestRender();
+        embed.emit("variantChange", { variant: name, model: models.entries.indexOf(entry) });
+    });
+}
+
+variantSelect.addEventListener('change', function () {
+    setVariant(variantSelect.value == "" ? null : variantSelect.value).catch(function (error) {
+        console.error(error);
+    });
+}, false);
+
+//labels pinned to the model, from a JSON file or inline JSON plus glTF node extras
+const hotspotLayer = new HotspotLayer(document.getElementById("hotspot-layer"), camera, focusHotspot);
+hotspotLayer.clippingPlanes = clipping.clippingPlanes;
+const hotspotCard = new HotspotCard(document.getElementById("hotspot-card"));
+var sourceHotspots = [];
+var modelHotspots = [];
+
+/**
+ * @param {string|Object[]} source URL of a JSON file, JSON text or the parsed list
+ * @returns {Promise}
+ */
+function loadHotspots(source) {
+    var json;
+    if (typeof source != "string") {
+        json = Promise.resolve(source);
+    }
+    else if (/^\s*[\[{]/.test(source)) {
+        json = Promise.resolve(source).then(JSON.parse);
+    }
+    else {
+        json = fetch(source).then(function (response) {
+            if (!response.ok)
+                throw new Error("HTTP " + response.status + " loading hotspots from " + source);
+            return response.json();
+        });
+    }
+    return json.then(function (data) {
+        sourceHotspots = parseHotspots(data);
+        showHotspots();
+    });
+}
 
-    var value = event.deltaY / -1000;
-    var scale = pivot.scale.x
-    if (scale + value <= 0.1)
+function showHotspots() {
+    hotspotCard.hide();
+    if (objModel == undefined) {
+        hotspotLayer.clear();
         return;
-    pivot.scale.x += value;
-    pivot.scale.y += value;
-    pivot.scale.z += value;
+    }
+    hotspotLayer.setHotspots(objModel, modelHotspots.concat(sourceHotspots));
+    requestRender();
 }
 
+//turn the model so the hotspot faces the camera, then open its card
+function focusHotspot(hotspot) {
+    var point = pivot.worldToLocal(hotspotLayer.getWorldPosition(hotspot.id, new THREE.Vector3()));
+    autoRotate = false;
+    waitAutoRotate = false;
+    controls.rotateTo(Math.atan2(point.y, Math.hypot(point.x, point.z)), Math.atan2(- point.x, point.z));
+    hotspotCard.show(hotspot);
+    requestRender();
+    embed.emit("hotspotSelect", { hotspot: hotspot.id });
+}
+
+//object loader init: all models, and the active one that the tools work on
+const models = new ModelSet(scene, config.layout);
+//floor with contact shadows and an optional reflection, kept under the models
+const ground = new Ground(renderer, scene, models);
+ground.setShadow(config.groundShadow);
+ground.setReflection(config.groundReflection);
+var activeModel = null;
+var activeModelPicked = false;
+var objModel = undefined;
+//the group that rotation, zoom and pan apply to
+var pivot = undefined;
+var pivotMode = config.pivot;
+const loadingManager = new THREE.LoadingManager();
+const modelLoader = new ModelLoader(loadingManager);
+setupDecoders(modelLoader.gltfLoader, renderer);
+//autoRotateEnabled is the mode, autoRotate whether it is spinning right now
+var autoRotateEnabled = config.autoRotate;
+var autoRotate = config.autoRotate;
+var waitAutoRotate = false;
+var autoRotateTimeOut = config.autoRotateDelay;
+var aRCounter = 0;
+
+//pointer controls
+var basicScale = new THREE.Vector3();
+basicScale.x = 1;
+basicScale.y = 1;
+basicScale.z = 1;
+const cameraTarget = new THREE.Vector3();
+const controls = new PointerOrbitControls(camera, renderer.domElement, {
+    minScale: config.minZoom,
+    maxScale: config.maxZoom,
+    homeRotation: new THREE.Euler(THREE.MathUtils.degToRad(config.pitch), THREE.MathUtils.degToRad(config.yaw), 0),
+    onStart: function () {
+        autoRotate = false;
+        waitAutoRotate = false;
+    },
+    onEnd: function () {
+        waitAutoRotate = autoRotateEnabled;
+        requestRender();
+    },
+    onChange: function () {
+        if (pivot != undefined)
+            slider.value = (pivot.scale.x - basicScale.x) * 100;
+        requestRender();
+    }
+});
+
+//keyboard on the focused canvas: arrows turn, +/- zoom, Home resets the view, Space toggles auto-rotate
+const KEY_ROTATION = Math.PI / 18;
+const KEY_ZOOM = 1.1;
+const KEY_ACTIONS = {
+    "ArrowLeft": () => controls.rotate(- KEY_ROTATION, 0),
+    "ArrowRight": () => controls.rotate(KEY_ROTATION, 0),
+    "ArrowUp": () => controls.rotate(0, - KEY_ROTATION),
+    "ArrowDown": () => controls.rotate(0, KEY_ROTATION),
+    "+": () => controls.zoom(KEY_ZOOM),
+    "=": () => controls.zoom(KEY_ZOOM),
+    "-": () => controls.zoom(1 / KEY_ZOOM),
+    "_": () => controls.zoom(1 / KEY_ZOOM),
+    "Home": function () {
+        controls.reset();
+        announcer.announce("View reset");
+    }
+};
+
+canvas.addEventListener('keydown', function (event) {
+    if (event.ctrlKey || event.metaKey || event.altKey)
+        return;
+    if (event.key == " ") {
+        event.preventDefault();
+        if (event.repeat)
+            return;
+        setAutoRotate(!autoRotateEnabled);
+        announcer.announce(autoRotateEnabled ? "Auto-rotate on" : "Auto-rotate off");
+        return;
+    }
+    var action = KEY_ACTIONS[event.key];
+    if (action == undefined || pivot == undefined)
+        return;
+    event.preventDefault();
+    //like a drag, a key press holds auto-rotate off for a while
+    autoRotate = false;
+    waitAutoRotate = autoRotateEnabled;
+    aRCounter = 0;
+    action();
+}, false);
+
 //update frame
 function Update() {
-    requestAnimationFrame(Update);
+    frameRequested = false;
+    if (!isVisible())
+        return;
 
+    //a long pause (idle or off screen) should not make animations jump
+    var delta = Math.min(clock.getDelta(), 0.1);
+    var active = controls.update();
+    if (animationPlayer.playing)
+        active = true;
+    animationPlayer.update(delta);
+    if (explodedView.update(delta))
+        active = true;
+    animationPanel.update();
     if (pivot != undefined) {
-        camera.lookAt(pivot.position);
+        camera.lookAt(cameraTarget);
         if (autoRotate) {
-            pivot.rotation.y += 0.05;
+            pivot.rotation.y += config.autoRotateSpeed * delta;
+            active = true;
         }
     }
 
@@ -123,107 +568,695 @@ function Update() {
         aRCounter = 0;
     }
     else {
-        aRCounter += 1;
+        active = true;
+        aRCounter += delta;
         if (aRCounter >= autoRotateTimeOut) {
             autoRotate = true;
             waitAutoRotate = false;
         }
     }
 
-    renderer.render(scene, camera);
-}
-Update();
-
-//get model url
-function GetURLParameter(sParam) {
-    // console.log(parameter);
-    var sPageURL = window.location.search.substring(1);
-    var sURLVariables = sPageURL.split('&');
-    for (var i = 0; i < sURLVariables.length; i++) {
-        var sParameterName = sURLVariables[i].split('=');
-        if (sParameterName[0] == sParam) {
-            const objectGltf = gltfLoader.load(sParameterName[1], function (model) {
-                objModel = model.scene;
-                objModel.scale.set(1, 1, 1);
-                objModel.position.set(0, 0, 0);
-                objModel.castShadow = true;
-                objModel.receiveShadow = true;
-
-                var box = new THREE.Box3().setFromObject(objModel);
-                box.getCenter(objModel.position);
-                objModel.position.multiplyScalar(- 1);
-
-                pivot = new THREE.Group();
-                scene.add(pivot);
-                pivot.add(objModel);
-                // scene.add(objModel);
-            }, undefined, function (error) {
-
-                console.error(error);
+    if (active || needsRender || !renderOnDemand) {
+        clipping.update();
+        //one floor and light for both sides of a comparison, fitted to both models
+        ground.update(comparison.enabled ? comparison.shown() : undefined);
+        fitShadowCamera(light, ground.box);
+        if (comparison.enabled)
+            comparison.render(scene);
+        else
+            renderer.render(scene, camera);
+        hotspotLayer.update(!active);
+        inspector.update();
+        measureTool.update();
+        needsRender = false;
+    }
+    if (active || !renderOnDemand)
+        requestRender();
+}
+requestRender();
+
+/**
+ * Add a model to the set, next to the ones already there.
+ * @param {string} url
+ * @param {Object} [placement] offset, rotation and scale, see ModelSet.setPlacement
+ */
+function loadModel(url, placement) {
+    loadEntry(models.reserve(url, placement));
+}
+
+var loadToken = 0;
+var pendingUrls = [];
+var failedModels = [];
+function loadEntry(entry) {
+    var token = loadToken;
+    var url = entry.url;
+    pendingUrls.push(url);
+    //a failed model keeps its error card up until it is retried
+    if (failedModels.length == 0)
+        overlay.showProgress(0, 0);
+
+    modelLoader.load(url, function (model) {
+        if (token != loadToken)
+            return;
+
+        var unsupported = model.parser ? unsupportedExtensions(model.parser) : [];
+        if (unsupported.length > 0) {
+            onLoadError(entry, new LoadError(LoadErrorCategory.UNSUPPORTED_EXTENSION, "The model requires " + unsupported.join(", ") + ", which this viewer cannot display.", url));
+            return;
+        }
+
+        var root = model.scene;
+        //shadows are per mesh, flags on the root do nothing
+        root.traverse(function (object) {
+            if (object.isMesh) {
+                object.castShadow = true;
+                object.receiveShadow = true;
+            }
+        });
+        entry.animations = model.animations;
+        entry.variants = model.variants;
+        entry.selectVariant = model.selectVariant;
+        entry.variant = null;
+        entry.hotspots = hotspotsFromExtras(root, model.parser);
+        //removed while it was loading
+        if (models.entries.indexOf(entry) < 0) {
+            onLoadEnd(url);
+            return;
+        }
+        models.add(entry, root);
+        renderModes.setModel(models.pivot);
+
+        //the first model in the list is active until another one is picked
+        var loaded = models.loaded();
+        if (activeModel == null || (!activeModelPicked && loaded.indexOf(entry) < loaded.indexOf(activeModel)))
+            setActiveModel(entry);
+        showModelList();
+        controls.reset();
+        requestRender();
+        frameModel();
+        if (config.variant != null && entry.variants.length > 0) {
+            setVariant(config.variant, entry).catch(function (error) {
+                console.warn("3D-Viewer: could not select variant " + config.variant, error);
             });
         }
+
+        onLoadEnd(url);
+        announcer.announce(entry.name + " loaded");
+        embed.emit("loaded", { url: url, model: models.entries.indexOf(entry), variants: model.variants });
+    }, function (event) {
+        if (token != loadToken)
+            return;
+        var total = event.lengthComputable ? event.total : 0;
+        if (failedModels.length == 0)
+            overlay.showProgress(event.loaded, total);
+        embed.emit("progress", { url: url, loaded: event.loaded, total: total });
+    }, function (error) {
+        if (token != loadToken)
+            return;
+        console.error(error);
+        LoadError.from(error, url).then(function (loadError) {
+            if (token == loadToken)
+                onLoadError(entry, loadError);
+        });
+    });
+}
+
+function onLoadEnd(url) {
+    pendingUrls.splice(pendingUrls.indexOf(url), 1);
+    if (pendingUrls.length == 0 && failedModels.length == 0)
+        overlay.hide();
+}
+
+function onLoadError(entry, error) {
+    failedModels.push(entry);
+    onLoadEnd(entry.url);
+    overlay.showError(error);
+    announcer.announce(error.title + ". " + error.message);
+    embed.emit("error", { url: entry.url, category: error.category, status: error.status, message: error.message });
+}
+
+function retryFailedLoads() {
+    var entries = failedModels;
+    failedModels = [];
+    entries.forEach(loadEntry);
+}
+
+/**
+ * Point the tools, and with the `active` pivot the controls, at one model.
+ * @param {Object} entry a ModelSet entry, or null
+ */
+function setActiveModel(entry) {
+    activeModel = entry;
+    objModel = entry == null ? undefined : entry.root;
+    var root = entry == null ? null : entry.root;
+    updatePivot();
+    if (entry == null)
+        animationPlayer.clear();
+    else
+        playAnimations(root, entry.animations);
+    modelHotspots = entry == null ? [] : entry.hotspots;
+    showHotspots();
+    inspector.setModel(root, loadedMesh);
+    measureTool.setModel(root);
+    clipping.setModel(root);
+    explodedView.setModel(root);
+    showExplodeControls();
+    showVariants(entry);
+    modelSelect.value = String(models.entries.indexOf(entry));
+    requestRender();
+}
+
+function updatePivot() {
+    if (activeModel == null)
+        pivot = undefined;
+    else
+        pivot = pivotMode == "active" && !comparison.enabled ? activeModel.pivot : models.pivot;
+    controls.object = pivot;
+}
+
+/**
+ * @param {string} mode `shared` turns all models together, `active` only the active one
+ */
+function setPivotMode(mode) {
+    if (mode != "shared" && mode != "active")
+        throw new Error("Unknown pivot mode: " + mode);
+    pivotMode = mode;
+    pivotSelect.value = mode;
+    updatePivot();
+    if (pivot != undefined)
+        slider.value = (pivot.scale.x - basicScale.x) * 100;
+    requestRender();
+}
+
+//model menu and pivot mode, shown once there is more than one model
+const modelSelect = document.getElementById("model-select");
+const pivotSelect = document.getElementById("pivot-select");
+
+function showModelList() {
+    modelSelect.innerHTML = "";
+    models.entries.forEach(function (entry, index) {
+        if (entry.root == null)
+            return;
+        var option = document.createElement("option");
+        option.value = index;
+        option.textContent = entry.name;
+        modelSelect.appendChild(option);
+    });
+    modelSelect.value = String(models.entries.indexOf(activeModel));
+    modelSelect.hidden = models.loaded().length < 2;
+    pivotSelect.hidden = modelSelect.hidden;
+    compareSelect.hidden = modelSelect.hidden;
+}
+
+/**
+ * @param {number} index position of the model in the `model` parameters or `addModel` commands
+ */
+function pickModel(index) {
+    var entry = models.entries[index];
+    if (entry == undefined || entry.root == null)
+        throw new Error("No loaded model at index " + index);
+    activeModelPicked = true;
+    if (entry != activeModel) {
+        setActiveModel(entry);
+        embed.emit("activeModelChange", { model: index });
     }
 }
-GetURLParameter("model");
 
-var slider = document.getElementById("scale-slider");
-slider.addEventListener('input', scaleUpdate)
+pivotSelect.value = pivotMode;
+modelSelect.addEventListener('change', function () {
+    pickModel(Number(modelSelect.value));
+}, false);
+pivotSelect.addEventListener('change', function () {
+    setPivotMode(pivotSelect.value);
+}, false);
 
-function scaleUpdate(event) {
-    if (pivot != undefined) {
-        var value = slider.value / 100;
-        pivot.scale.x = basicScale.x + value;
-        pivot.scale.y = basicScale.y + value;
-        pivot.scale.z = basicScale.z + value;
+//two models against each other, drawn with the shared pivot so they turn together
+var comparison = new ComparisonView(document.getElementById("compare-layer"), renderer, camera, models, requestRender, loadedMesh);
+const compareSelect = document.getElementById("compare-select");
+
+/**
+ * @param {string} mode `off`, `split` for two viewports or `wipe` for one view divided by a handle
+ */
+function setCompareMode(mode) {
+    comparison.setMode(mode);
+    compareSelect.value = mode;
+    models.setOverlaid(comparison.enabled);
+    if (comparison.enabled) {
+        //turns of single models from the active pivot would put the sides out of step
+        models.entries.forEach(function (entry) {
+            entry.pivot.position.set(0, 0, 0);
+            entry.pivot.rotation.set(0, 0, 0);
+            entry.pivot.scale.set(1, 1, 1);
+        });
     }
+    //hotspots, measuring and section handles are placed on the whole canvas, not on half of it
+    var split = comparison.mode == "split";
+    container.classList.toggle("compare-split", split);
+    if (split)
+        setMeasuring(false);
+    measureButton.disabled = split;
+    clipping.setGizmosVisible(!clippingPanel.element.hidden && !split);
+    updatePivot();
+    resize();
 }
 
-function touchMove(event) {
-    if (isMouseDown != true)
+setCompareMode(config.compare);
+compareSelect.addEventListener('change', function () {
+    setCompareMode(compareSelect.value);
+}, false);
+
+//select the clip named in the URL, or the first one, and start it
+function playAnimations(root, clips) {
+    animationPlayer.setModel(root, clips);
+    if (clips.length == 0)
         return;
-    if (pivot == undefined)
+
+    var name = config.animation;
+    if (name != null && !animationPlayer.select(name))
+        console.warn("3D-Viewer: no animation named", name);
+    if (config.autoplay)
+        animationPlayer.play();
+}
+
+//required glTF extensions that neither the loader nor a plugin handled
+function unsupportedExtensions(parser) {
+    var required = parser.json.extensionsRequired || [];
+    return required.filter(function (name) {
+        return parser.extensions[name] === undefined && parser.plugins[name] === undefined;
+    });
+}
+
+//remove every model, ignoring loads still in flight
+function clearModel() {
+    loadToken++;
+    renderModes.setModel(null);
+    setActiveModel(null);
+    activeModelPicked = false;
+    models.clear();
+    models.pivot.position.set(0, 0, 0);
+    models.pivot.rotation.set(0, 0, 0);
+    models.pivot.scale.set(1, 1, 1);
+    showModelList();
+    requestRender();
+    pendingUrls = [];
+    failedModels = [];
+    overlay.hide();
+    if (localFiles != undefined) {
+        localFiles.dispose();
+        localFiles = undefined;
+        loadingManager.setURLModifier(undefined);
+    }
+}
+
+//files dropped on the canvas or picked from disk
+var localFiles = undefined;
+function loadLocalFiles(files) {
+    clearModel();
+
+    var root = files.rootPath();
+    if (root == undefined) {
+        onLocalFilesError(new LoadError(LoadErrorCategory.PARSE, "No .gltf, .glb or .fbx file was found among the selected files."));
         return;
+    }
 
-    var touches = event.changedTouches;
+    localFiles = files;
+    loadingManager.setURLModifier(function (url) {
+        return files.resolveURL(url);
+    });
+    loadModel(root);
+}
 
-    mouse.x = (touches[0].clientX / window.innerWidth) * 2 - 1;
-    mouse.y = - (touches[0].clientY / window.innerHeight) * 2 + 1;
+function onLocalFilesError(error) {
+    overlay.showError(error);
+    announcer.announce(error.title + ". " + error.message);
+    embed.emit("error", { category: error.category, message: error.message });
+}
 
-    difference.x = mouse.x - lastMouse.x;
-    difference.y = mouse.y - lastMouse.y;
+const dropHint = document.getElementById("drop-hint");
+container.addEventListener('dragover', function (event) {
+    event.preventDefault();
+    event.dataTransfer.dropEffect = "copy";
+    dropHint.hidden = false;
+}, false);
+container.addEventListener('dragleave', function (event) {
+    if (!container.contains(event.relatedTarget))
+        dropHint.hidden = true;
+}, false);
+container.addEventListener('drop', function (event) {
+    event.preventDefault();
+    dropHint.hidden = true;
+    LocalFiles.fromDataTransfer(event.dataTransfer).then(loadLocalFiles, function (error) {
+        //a folder or file that went away or may not be read
+        console.error(error);
+        onLocalFilesError(new LoadError(LoadErrorCategory.PARSE, "The dropped files could not be read" + (error && error.message ? ": " + error.message : ".")));
+    });
+}, false);
 
-    lastMouse.x = mouse.x;
-    lastMouse.y = mouse.y;
+document.getElementById("frame-button").addEventListener('click', frameModel, false);
 
-    console.log(mouse);
+["file-input", "folder-input"].forEach(function (id) {
+    var input = document.getElementById(id);
+    input.addEventListener('change', function () {
+        if (input.files.length > 0)
+            loadLocalFiles(LocalFiles.fromFileList(input.files));
+        input.value = "";
+    }, false);
+});
 
-    pivot.rotation.y += difference.x * 2;
-    pivot.rotation.x -= difference.y;
+//fit the camera to the model at its initial zoom and pan, keeping its rotation
+function frameModel() {
+    if (pivot == undefined)
+        return;
+    pivot.position.set(0, 0, 0);
+    setZoom(basicScale.x);
+    fitCamera();
+}
 
-    if (pivot.rotation.x > 1)
-        pivot.rotation.x = 1;
-    else if (pivot.rotation.x < -1)
-        pivot.rotation.x = -1;
+function fitCamera() {
+    frameCamera(camera, models.radius, controls.maxScale);
+    requestRender();
 }
 
-function touchStart(event) {
-    isMouseDown = true;
-    var touches = event.changedTouches;
-    lastMouse.x = (touches[0].clientX / window.innerWidth) * 2 - 1;
-    lastMouse.y = - (touches[0].clientY / window.innerHeight) * 2 + 1;
-    autoRotate = false;
+function setRotation(x, y) {
+    if (pivot == undefined)
+        return;
+    if (typeof x == "number")
+        pivot.rotation.x = controls.clampPitch(x);
+    if (typeof y == "number")
+        pivot.rotation.y = y;
+    requestRender();
+}
+
+function setZoom(value) {
+    slider.value = (value - basicScale.x) * 100;
+    scaleUpdate();
+}
+
+function setAutoRotate(enabled) {
+    autoRotateEnabled = !!enabled;
+    autoRotate = autoRotateEnabled;
     waitAutoRotate = false;
+    requestRender();
+}
+
+//render the current view offscreen, at any size
+function capture(options) {
+    var size = renderer.getDrawingBufferSize(new THREE.Vector2());
+    return captureImage(renderer, scene, camera, {
+        width: options.width || size.x,
+        height: options.height || size.y,
+        transparent: options.transparent,
+        format: options.format,
+        quality: options.quality
+    });
+}
+
+//record one full turn of the model, with auto-rotate held off meanwhile
+var recording = false;
+function recordModelTurntable(options, onProgress) {
+    if (pivot == undefined)
+        return Promise.reject(new Error("No model is loaded"));
+    if (recording)
+        return Promise.reject(new Error("A turntable is already being recorded"));
+
+    var size = renderer.getDrawingBufferSize(new THREE.Vector2());
+    var wasAutoRotating = autoRotateEnabled;
+    recording = true;
+    setAutoRotate(false);
+    return recordTurntable(renderer, scene, camera, pivot, {
+        width: options.width || size.x,
+        height: options.height || size.y,
+        frames: options.frames,
+        fps: options.fps,
+        format: options.format,
+        transparent: options.transparent,
+        onProgress: onProgress
+    }).finally(function () {
+        recording = false;
+        setAutoRotate(wasAutoRotating);
+    });
 }
 
-function touchEnd(event) {
-    isMouseDown = false;
-    waitAutoRotate = true;
+function blobToDataURL(blob) {
+    return new Promise(function (resolve, reject) {
+        var reader = new FileReader();
+        reader.onload = function () {
+            resolve(reader.result);
+        };
+        reader.onerror = function () {
+            reject(reader.error);
+        };
+        reader.readAsDataURL(blob);
+    });
 }
 
-container.addEventListener('mousemove', onMouseMove, false);
-container.addEventListener('mousedown', onMouseDown, false);
-container.addEventListener('mouseup', onMouseUp, false);
-container.addEventListener('touchmove', touchMove, false);
-container.addEventListener('touchstart', touchStart, false);
-container.addEventListener('touchend', touchEnd, false);
-container.addEventListener('wheel', onWheel, false);
\ No newline at end of file
+const captureButton = document.getElementById("capture-button");
+const capturePanel = document.getElementById("capture-panel");
+captureButton.addEventListener('click', function () {
+    capturePanel.hidden = !capturePanel.hidden;
+    captureButton.setAttribute("aria-expanded", String(!capturePanel.hidden));
+}, false);
+capturePanel.addEventListener('submit', function (event) {
+    event.preventDefault();
+    var form = capturePanel.elements;
+    var format = form.format.value;
+    capture({
+        width: Number(form.width.value),
+        height: Number(form.height.value),
+        format: format,
+        transparent: form.transparent.checked
+    }).then(function (blob) {
+        downloadBlob(blob, "screenshot." + (format == "jpeg" ? "jpg" : format));
+    }).catch(function (error) {
+        console.error(error);
+        alert(error.message);
+    });
+}, false);
+capturePanel.elements.record.addEventListener('click', function () {
+    var form = capturePanel.elements;
+    if (!capturePanel.reportValidity())
+        return;
+    var format = form.videoFormat.value;
+    var button = form.record;
+    button.disabled = true;
+    recordModelTurntable({
+        width: Number(form.width.value),
+        height: Number(form.height.value),
+        frames: Number(form.frames.value),
+        fps: Number(form.fps.value),
+        format: format,
+        transparent: form.transparent.checked
+    }, function (progress) {
+        button.textContent = "Recording " + Math.round(progress * 100) + "%";
+    }).then(function (blob) {
+        downloadBlob(blob, "turntable." + format);
+    }).catch(function (error) {
+        console.error(error);
+        alert(error.message);
+    }).finally(function () {
+        button.disabled = false;
+        button.textContent = "Record";
+    });
+}, false);
+
+const embed = new EmbedAPI({
+    load: function (data) {
+        clearModel();
+        loadModel(data.url);
+    },
+    addModel: function (data) {
+        loadModel(data.url, { offset: data.offset, rotation: data.rotation, scale: data.scale });
+        return models.entries.length - 1;
+    },
+    removeModel: function (data) {
+        var entry = models.entries[data.model];
+        if (entry == undefined)
+            throw new Error("No model at index " + data.model);
+        //put the model's own materials back first, so that those are the ones disposed
+        renderModes.setModel(null);
+        models.remove(entry);
+        if (entry == activeModel)
+            setActiveModel(models.loaded()[0] || null);
+        renderModes.setModel(models.pivot);
+        showModelList();
+        fitCamera();
+    },
+    getModels: function () {
+        return models.entries.map((entry, index) => ({
+            model: index,
+            url: entry.url,
+            name: entry.name,
+            loaded: entry.root != null,
+            active: entry == activeModel,
+            offset: entry.offset.toArray(),
+            rotation: entry.rotation.toArray().slice(0, 3).map(THREE.MathUtils.radToDeg),
+            scale: entry.scale
+        }));
+    },
+    setActiveModel: function (data) {
+        pickModel(data.model);
+    },
+    setModelPlacement: function (data) {
+        var entry = models.entries[data.model];
+        if (entry == undefined)
+            throw new Error("No model at index " + data.model);
+        models.setPlacement(entry, { offset: data.offset, rotation: data.rotation, scale: data.scale });
+        fitCamera();
+    },
+    setLayout: function (data) {
+        models.setLayout(data.layout);
+        fitCamera();
+    },
+    setPivotMode: function (data) {
+        setPivotMode(data.mode);
+    },
+    setCompare: function (data) {
+        if (data.left != null || data.right != null)
+            comparison.setSides(data.left != null ? data.left : comparison.sides[0], data.right != null ? data.right : comparison.sides[1]);
+        if (data.position != null)
+            comparison.setPosition(data.position);
+        if (data.mode != null)
+            setCompareMode(data.mode);
+        requestRender();
+    },
+    getCompare: function () {
+        return {
+            mode: comparison.mode,
+            left: comparison.sides[0],
+            right: comparison.sides[1],
+            position: comparison.position,
+            stats: comparison.stats.slice()
+        };
+    },
+    setRotation: function (data) {
+        setRotation(data.x, data.y);
+    },
+    setZoom: function (data) {
+        setZoom(data.value);
+    },
+    setAutoRotate: function (data) {
+        setAutoRotate(data.enabled);
+    },
+    setAlt: function (data) {
+        setAlt(data.text);
+    },
+    setPitchLimits: function (data) {
+        controls.setPitchLimits(data.min, data.max);
+    },
+    reset: function () {
+        controls.reset();
+    },
+    frame: function () {
+        frameModel();
+    },
+    setEnvironment: function (data) {
+        return setEnvironment(data.source);
+    },
+    setToneMapping: function (data) {
+        setToneMapping(data.name);
+    },
+    setExposure: function (data) {
+        setExposure(data.value);
+    },
+    setRenderMode: function (data) {
+        setRenderMode(data.mode);
+    },
+    setVariant: function (data) {
+        return setVariant(data.variant === undefined ? null : data.variant);
+    },
+    getVariants: function () {
+        return { variants: activeModel == null ? [] : activeModel.variants, selected: activeModel == null ? null : activeModel.variant };
+    },
+    setMeasuring: function (data) {
+        setMeasuring(data.enabled);
+    },
+    setDimensions: function (data) {
+        setDimensionsVisible(data.visible);
+    },
+    setUnit: function (data) {
+        measureTool.setUnit(data.unit);
+    },
+    getDimensions: function () {
+        var dimensions = measureTool.getDimensions();
+        dimensions.unit = measureTool.unit;
+        return dimensions;
+    },
+    setClipPlane: function (data) {
+        clipping.setPlane(data.index, {
+            enabled: data.enabled,
+            axis: data.axis,
+            normal: data.normal,
+            position: data.position
+        });
+        clippingPanel.refresh();
+    },
+    setClipCaps: function (data) {
+        clipping.setCaps(data.enabled);
+        clippingPanel.refresh();
+    },
+    setExplode: function (data) {
+        setExplode(data.amount, data.animate);
+    },
+    setGround: function (data) {
+        if (data.shadow != null)
+            ground.setShadow(data.shadow);
+        if (data.reflection != null)
+            ground.setReflection(data.reflection);
+        requestRender();
+    },
+    getExplode: function () {
+        return { amount: explodedView.target, explodable: explodedView.explodable };
+    },
+    getClipPlanes: function () {
+        return { planes: clipping.toJSON(), caps: clipping.caps, url: clippingURL() };
+    },
+    capture: function (data) {
+        return capture(data).then(function (blob) {
+            if (data.as == "dataURL")
+                return blobToDataURL(blob);
+            return blob;
+        });
+    },
+    recordTurntable: function (data) {
+        return recordModelTurntable(data, function (progress) {
+            embed.emit("recordProgress", { progress: progress });
+        });
+    },
+    setHotspots: function (data) {
+        return loadHotspots(data.hotspots);
+    },
+    getHotspots: function () {
+        return hotspotLayer.toJSON();
+    },
+    focusHotspot: function (data) {
+        var hotspot = hotspotLayer.find(data.hotspot);
+        if (hotspot == undefined)
+            throw new Error("No hotspot with id " + data.hotspot);
+        focusHotspot(hotspot);
+    }
+}, config.origin);
+var slider = document.getElementById("scale-slider");
+slider.addEventListener('input', scaleUpdate)
+config.model.forEach(function (url, index) {
+    loadModel(url, {
+        offset: config.modelOffset[index],
+        rotation: config.modelRotation[index],
+        scale: config.modelScale[index]
+    });
+});
+if (config.hotspots != null) {
+    loadHotspots(config.hotspots).catch(function (error) {
+        console.warn("3D-Viewer: could not load hotspots", error);
+    });
+}
+embed.emit("ready");
+
+function scaleUpdate(event) {
+    if (pivot != undefined) {
+        var value = THREE.MathUtils.clamp(basicScale.x + slider.value / 100, controls.minScale, controls.maxScale) - basicScale.x;
+        pivot.scale.x = basicScale.x + value;
+        pivot.scale.y = basicScale.y + value;
+        pivot.scale.z = basicScale.z + value;
+        requestRender();
+    }
+}
@@ -0,0 +1,144 @@
+/**
+ * Plays one animation clip at a time on the loaded model. The viewer calls
+ * `update` from its frame loop; the UI only talks to the methods below.
+ */
+export class AnimationPlayer {
+    constructor() {
+        this.mixer = null;
+        this.clips = [];
+        this.action = null;
+        this.speed = 1;
+        this.loop = true;
+        this.playing = false;
+        this.onChange = function () { };
+    }
+
+    /**
+     * @param {THREE.Object3D} root
+     * @param {THREE.AnimationClip[]} clips
+     */
+    setModel(root, clips) {
+        this.clear();
+        this.clips = clips || [];
+        if (this.clips.length == 0)
+            return;
+        this.mixer = new THREE.AnimationMixer(root);
+        this.mixer.addEventListener('finished', () => {
+            this.playing = false;
+            this.onChange();
+        });
+        this.select(0);
+    }
+
+    clear() {
+        if (this.mixer != null) {
+            this.mixer.stopAllAction();
+            this.mixer.uncacheRoot(this.mixer.getRoot());
+        }
+        this.mixer = null;
+        this.clips = [];
+        this.action = null;
+        this.playing = false;
+        this.onChange();
+    }
+
+    /**
+     * @param {number|string} clip index or name
+     * @returns {boolean} whether the clip exists
+     */
+    select(clip) {
+        var index = typeof clip == "number" ? clip : this.clips.findIndex((c) => c.name == clip);
+        if (this.mixer == null || index < 0 || index >= this.clips.length)
+            return false;
+
+        if (this.action != null)
+            this.action.stop();
+        this.action = this.mixer.clipAction(this.clips[index]);
+        this.applyLoop();
+        this.action.timeScale = this.speed;
+        this.action.play();
+        this.action.paused = !this.playing;
+        this.onChange();
+        return true;
+    }
+
+    get clipIndex() {
+        return this.action != null ? this.clips.indexOf(this.action.getClip()) : -1;
+    }
+
+    get duration() {
+        return this.action != null ? this.action.getClip().duration : 0;
+    }
+
+    get time() {
+        return this.action != null ? this.action.time : 0;
+    }
+
+    play() {
+        if (this.action == null)
+            return;
+        //a finished one-shot clip starts over
+        if (!this.loop && this.action.time >= this.duration)
+            this.action.reset();
+        this.action.enabled = true;
+        this.action.paused = false;
+        if (!this.action.isRunning())
+            this.action.play();
+        this.playing = true;
+        this.onChange();
+    }
+
+    pause() {
+        if (this.action == null)
+            return;
+        this.action.paused = true;
+        this.playing = false;
+        this.onChange();
+    }
+
+    toggle() {
+        if (this.playing)
+            this.pause();
+        else
+            this.play();
+    }
+
+    setLoop(loop) {
+        this.loop = loop;
+        this.applyLoop();
+        this.onChange();
+    }
+
+    setSpeed(speed) {
+        this.speed = speed;
+        if (this.action != null)
+            this.action.timeScale = speed;
+        this.onChange();
+    }
+
+    seek(time) {
+        if (this.action == null)
+            return;
+        this.action.enabled = true;
+        if (!this.action.isScheduled())
+            this.action.play();
+        this.action.time = Math.max(0, Math.min(this.duration, time));
+        this.mixer.update(0);
+        this.onChange();
+    }
+
+    applyLoop() {
+        if (this.action == null)
+            return;
+        this.action.setLoop(this.loop ? THREE.LoopRepeat : THREE.LoopOnce, Infinity);
+        this.action.clampWhenFinished = !this.loop;
+    }
+
+    /**
+     * @param {number} delta seconds since the last frame
+     */
+    update(delta) {
+        if (this.mixer != null)
+            this.mixer.update(delta);
+    }
+}
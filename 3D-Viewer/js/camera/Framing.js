@@ -0,0 +1,35 @@
+/**
+ * Camera framing helpers. The viewer keeps its camera on the +Z axis looking
+ * at the origin and turns the model instead, so framing only has to pick a
+ * distance and clip planes for a bounding sphere centered on the origin.
+ */
+
+/**
+ * Distance at which a sphere fills the narrower of the two fields of view.
+ * @param {THREE.PerspectiveCamera} camera
+ * @param {number} radius
+ * @param {number} [margin] extra room around the sphere, 1 is a tight fit
+ */
+export function fitDistance(camera, radius, margin) {
+    var vFov = THREE.MathUtils.degToRad(camera.fov);
+    var hFov = 2 * Math.atan(Math.tan(vFov / 2) * camera.aspect);
+    return radius * (margin || 1.1) / Math.sin(Math.min(vFov, hFov) / 2);
+}
+
+/**
+ * Move the camera so the sphere is in view and fit near/far around it,
+ * leaving room for the model to be zoomed up to `maxScale` times.
+ * @param {THREE.PerspectiveCamera} camera
+ * @param {number} radius
+ * @param {number} [maxScale]
+ */
+export function frameCamera(camera, radius, maxScale) {
+    radius = radius > 0 ? radius : 1;
+    var distance = fitDistance(camera, radius);
+    camera.position.set(0, 0, distance);
+    camera.near = distance / 100;
+    camera.far = distance + radius * (maxScale || 1) * 2;
+    camera.updateProjectionMatrix();
+    camera.lookAt(0, 0, 0);
+    return distance;
+}
@@ -0,0 +1,275 @@
+/**
+ * Minimal animated GIF89a encoder. All frames share one global palette,
+ * built up front with median cut from sample frames, which suits turntables
+ * where every frame shows the same materials.
+ */
+const TRANSPARENT_INDEX = 255;
+
+export class GifEncoder {
+    /**
+     * @param {number} width
+     * @param {number} height
+     * @param {Object} options
+     * @param {Uint8Array} options.palette RGB triplets, at most 255 colors
+     * @param {number} [options.delay] frame delay in milliseconds
+     * @param {boolean} [options.transparent] pixels with alpha < 128 become transparent
+     */
+    constructor(width, height, options) {
+        this.width = width;
+        this.height = height;
+        this.palette = options.palette;
+        this.delay = Math.round((options.delay || 40) / 10);
+        this.transparent = !!options.transparent;
+        this.lookup = new Int16Array(32768).fill(-1);
+        this.chunks = [];
+
+        var header = new ByteWriter();
+        header.string("GIF89a");
+        header.short(width);
+        header.short(height);
+        //global color table of 256 entries, 8 bits per channel
+        header.byte(0xf7);
+        header.byte(0);
+        header.byte(0);
+        var table = new Uint8Array(256 * 3);
+        table.set(this.palette.subarray(0, Math.min(this.palette.length, 255 * 3)));
+        header.bytes(table);
+        //NETSCAPE2.0 extension: loop forever
+        header.bytes([0x21, 0xff, 0x0b]);
+        header.string("NETSCAPE2.0");
+        header.bytes([0x03, 0x01, 0x00, 0x00, 0x00]);
+        this.chunks.push(header.toUint8Array());
+    }
+
+    /**
+     * @param {Uint8ClampedArray} rgba `width * height * 4` pixels, top row first
+     */
+    addFrame(rgba) {
+        var indices = new Uint8Array(this.width * this.height);
+        for (var i = 0, p = 0; i < indices.length; i++, p += 4) {
+            if (this.transparent && rgba[p + 3] < 128)
+                indices[i] = TRANSPARENT_INDEX;
+            else
+                indices[i] = this.nearest(rgba[p], rgba[p + 1], rgba[p + 2]);
+        }
+
+        var frame = new ByteWriter();
+        //graphic control extension: restore to background so transparent frames do not smear
+        frame.bytes([0x21, 0xf9, 0x04, this.transparent ? 0x09 : 0x04]);
+        frame.short(this.delay);
+        frame.byte(this.transparent ? TRANSPARENT_INDEX : 0);
+        frame.byte(0);
+        //image descriptor covering the whole canvas, no local color table
+        frame.byte(0x2c);
+        frame.short(0);
+        frame.short(0);
+        frame.short(this.width);
+        frame.short(this.height);
+        frame.byte(0);
+        frame.byte(8);
+        lzwEncode(indices, frame);
+        this.chunks.push(frame.toUint8Array());
+    }
+
+    /**
+     * @returns {Blob}
+     */
+    finish() {
+        this.chunks.push(new Uint8Array([0x3b]));
+        return new Blob(this.chunks, { type: "image/gif" });
+    }
+
+    //nearest palette entry, cached per 15-bit color
+    nearest(r, g, b) {
+        var key = (r >> 3) << 10 | (g >> 3) << 5 | (b >> 3);
+        var cached = this.lookup[key];
+        if (cached >= 0)
+            return cached;
+
+        var palette = this.palette;
+        var best = 0;
+        var bestDistance = Infinity;
+        for (var i = 0; i < palette.length / 3; i++) {
+            var dr = palette[i * 3] - r;
+            var dg = palette[i * 3 + 1] - g;
+            var db = palette[i * 3 + 2] - b;
+            var distance = dr * dr + dg * dg + db * db;
+            if (distance < bestDistance) {
+                bestDistance = distance;
+                best = i;
+            }
+        }
+        this.lookup[key] = best;
+        return best;
+    }
+
+    /**
+     * Median-cut palette from sample frames.
+     * @param {Uint8ClampedArray[]} samples RGBA pixel arrays
+     * @param {number} [maxColors] at most 255, one index is kept for transparency
+     * @returns {Uint8Array} RGB triplets
+     */
+    static buildPalette(samples, maxColors) {
+        maxColors = Math.min(maxColors || 255, 255);
+
+        var colors = [];
+        samples.forEach(function (rgba) {
+            var pixelCount = rgba.length / 4;
+            var step = Math.max(1, Math.floor(pixelCount * samples.length / 100000));
+            for (var i = 0; i < pixelCount; i += step) {
+                if (rgba[i * 4 + 3] >= 128)
+                    colors.push(rgba[i * 4] << 16 | rgba[i * 4 + 1] << 8 | rgba[i * 4 + 2]);
+            }
+        });
+        if (colors.length == 0)
+            colors.push(0);
+
+        var boxes = [colors];
+        while (boxes.length < maxColors) {
+            var widest = -1;
+            var widestRange = 0;
+            var widestShift = 0;
+            boxes.forEach(function (box, index) {
+                if (box.length < 2)
+                    return;
+                [16, 8, 0].forEach(function (shift) {
+                    var min = 255;
+                    var max = 0;
+                    for (var i = 0; i < box.length; i++) {
+                        var value = box[i] >> shift & 0xff;
+                        if (value < min)
+                            min = value;
+                        if (value > max)
+                            max = value;
+                    }
+                    if (max - min > widestRange) {
+                        widestRange = max - min;
+                        widest = index;
+                        widestShift = shift;
+                    }
+                });
+            });
+            if (widest < 0)
+                break;
+
+            var box = boxes[widest];
+            box.sort((a, b) => (a >> widestShift & 0xff) - (b >> widestShift & 0xff));
+            var middle = box.length >> 1;
+            boxes.splice(widest, 1, box.slice(0, middle), box.slice(middle));
+        }
+
+        var palette = new Uint8Array(boxes.length * 3);
+        boxes.forEach(function (box, index) {
+            var r = 0;
+            var g = 0;
+            var b = 0;
+            box.forEach(function (color) {
+                r += color >> 16 & 0xff;
+                g += color >> 8 & 0xff;
+                b += color & 0xff;
+            });
+            palette[index * 3] = Math.round(r / box.length);
+            palette[index * 3 + 1] = Math.round(g / box.length);
+            palette[index * 3 + 2] = Math.round(b / box.length);
+        });
+        return palette;
+    }
+}
+
+/**
+ * GIF-flavoured LZW with 8-bit input, written as length-prefixed sub-blocks.
+ */
+function lzwEncode(indices, writer) {
+    var minCodeSize = 8;
+    var clearCode = 1 << minCodeSize;
+    var endCode = clearCode + 1;
+
+    var block = new Uint8Array(255);
+    var blockLength = 0;
+    var bitBuffer = 0;
+    var bitCount = 0;
+
+    function flushBlock() {
+        if (blockLength == 0)
+            return;
+        writer.byte(blockLength);
+        writer.bytes(block.subarray(0, blockLength));
+        blockLength = 0;
+    }
+
+    function emit(code, size) {
+        bitBuffer |= code << bitCount;
+        bitCount += size;
+        while (bitCount >= 8) {
+            block[blockLength++] = bitBuffer & 0xff;
+            if (blockLength == 255)
+                flushBlock();
+            bitBuffer >>>= 8;
+            bitCount -= 8;
+        }
+    }
+
+    var dictionary = new Map();
+    var nextCode = endCode + 1;
+    var codeSize = minCodeSize + 1;
+
+    emit(clearCode, codeSize);
+    var prefix = indices[0];
+    for (var i = 1; i < indices.length; i++) {
+        var key = prefix << 8 | indices[i];
+        var code = dictionary.get(key);
+        if (code !== undefined) {
+            prefix = code;
+            continue;
+        }
+
+        emit(prefix, codeSize);
+        if (nextCode < 4096) {
+            dictionary.set(key, nextCode);
+            if (nextCode == 1 << codeSize)
+                codeSize++;
+            nextCode++;
+        }
+        else {
+            emit(clearCode, codeSize);
+            dictionary.clear();
+            nextCode = endCode + 1;
+            codeSize = minCodeSize + 1;
+        }
+        prefix = indices[i];
+    }
+    emit(prefix, codeSize);
+    emit(endCode, codeSize);
+    if (bitCount > 0)
+        emit(0, 8 - bitCount);
+    flushBlock();
+    writer.byte(0);
+}
+
+class ByteWriter {
+    constructor() {
+        this.data = [];
+    }
+
+    byte(value) {
+        this.data.push(value & 0xff);
+    }
+
+    short(value) {
+        this.data.push(value & 0xff, value >> 8 & 0xff);
+    }
+
+    bytes(values) {
+        for (var i = 0; i < values.length; i++)
+            this.data.push(values[i]);
+    }
+
+    string(text) {
+        for (var i = 0; i < text.length; i++)
+            this.data.push(text.charCodeAt(i));
+    }
+
+    toUint8Array() {
+        return new Uint8Array(this.data);
+    }
+}
@@ -0,0 +1,148 @@
+/**
+ * Offscreen captures of the current view. The image is rendered in tiles
+ * through `camera.setViewOffset`, so its size is limited by the 2D canvas
+ * it is assembled on rather than by the GPU's render target size.
+ */
+export const ImageFormats = {
+    png: "image/png",
+    jpeg: "image/jpeg",
+    webp: "image/webp"
+};
+
+const MAX_TILE_SIZE = 2048;
+
+/**
+ * @param {THREE.WebGLRenderer} renderer
+ * @param {THREE.Scene} scene
+ * @param {THREE.PerspectiveCamera} camera
+ * @param {Object} options
+ * @param {number} options.width
+ * @param {number} options.height
+ * @param {boolean} [options.transparent] leave the background out (ignored for JPEG)
+ * @param {string} [options.format] a key of ImageFormats, `png` by default
+ * @param {number} [options.quality] 0-1, for JPEG and WebP
+ * @returns {Promise<Blob>}
+ */
+export function captureImage(renderer, scene, camera, options) {
+    var format = options.format || "png";
+    if (!(format in ImageFormats))
+        return Promise.reject(new Error("Unknown image format: " + format));
+
+    //JPEG has no alpha, so it always gets the scene background
+    var canvas;
+    try {
+        canvas = renderImage(renderer, scene, camera, {
+            width: options.width,
+            height: options.height,
+            transparent: options.transparent && format != "jpeg"
+        });
+    }
+    catch (error) {
+        return Promise.reject(error);
+    }
+
+    return new Promise(function (resolve, reject) {
+        canvas.toBlob(function (blob) {
+            if (blob == null)
+                reject(new Error("The browser could not encode a " + canvas.width + "x" + canvas.height + " " + format));
+            else
+                resolve(blob);
+        }, ImageFormats[format], options.quality);
+    });
+}
+
+/**
+ * Render the view into a 2D canvas of the requested size.
+ * @param {Object} options `width`, `height` and `transparent`
+ * @param {HTMLCanvasElement} [canvas] reused when given, resized to fit
+ * @returns {HTMLCanvasElement}
+ */
+export function renderImage(renderer, scene, camera, options, canvas) {
+    var width = Math.round(options.width);
+    var height = Math.round(options.height);
+    if (!(width > 0 && height > 0))
+        throw new Error("Capture size must be positive, got " + options.width + "x" + options.height);
+
+    canvas = canvas || document.createElement("canvas");
+    if (canvas.width != width || canvas.height != height) {
+        canvas.width = width;
+        canvas.height = height;
+    }
+    var context = canvas.getContext("2d");
+    renderTiles(renderer, scene, camera, width, height, !!options.transparent, context);
+    return canvas;
+}
+
+function renderTiles(renderer, scene, camera, width, height, transparent, context) {
+    var tileSize = Math.min(MAX_TILE_SIZE, renderer.capabilities.maxTextureSize);
+    //section caps are drawn with the stencil buffer
+    var target = renderer.capabilities.isWebGL2
+        ? new THREE.WebGLMultisampleRenderTarget(tileSize, tileSize, { stencilBuffer: true })
+        : new THREE.WebGLRenderTarget(tileSize, tileSize, { stencilBuffer: true });
+    target.texture.encoding = renderer.outputEncoding;
+
+    var tileCamera = camera.clone();
+    tileCamera.aspect = width / height;
+    tileCamera.updateProjectionMatrix();
+
+    var background = scene.background;
+    var clearColor = renderer.getClearColor(new THREE.Color());
+    var clearAlpha = renderer.getClearAlpha();
+    var previousTarget = renderer.getRenderTarget();
+    if (transparent) {
+        scene.background = null;
+        renderer.setClearColor(0x000000, 0);
+    }
+
+    var pixels = new Uint8Array(tileSize * tileSize * 4);
+    try {
+        for (var y = 0; y < height; y += tileSize) {
+            for (var x = 0; x < width; x += tileSize) {
+                var w = Math.min(tileSize, width - x);
+                var h = Math.min(tileSize, height - y);
+                target.setSize(w, h);
+                tileCamera.setViewOffset(width, height, x, y, w, h);
+
+                renderer.setRenderTarget(target);
+                renderer.clear();
+                renderer.render(scene, tileCamera);
+                renderer.readRenderTargetPixels(target, 0, 0, w, h, pixels);
+
+                context.putImageData(flipRows(pixels, w, h), x, y);
+            }
+        }
+    }
+    finally {
+        renderer.setRenderTarget(previousTarget);
+        scene.background = background;
+        renderer.setClearColor(clearColor, clearAlpha);
+        target.dispose();
+    }
+}
+
+//WebGL reads bottom-up, canvas rows go top-down
+function flipRows(pixels, width, height) {
+    var image = new ImageData(width, height);
+    var rowLength = width * 4;
+    for (var row = 0; row < height; row++) {
+        var source = (height - row - 1) * rowLength;
+        image.data.set(pixels.subarray(source, source + rowLength), row * rowLength);
+    }
+    return image;
+}
+
+/**
+ * Save a blob through a temporary download link.
+ */
+export function downloadBlob(blob, fileName) {
+    var url = URL.createObjectURL(blob);
+    var link = document.createElement("a");
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(function () {
+        URL.revokeObjectURL(url);
+    }, 0);
+}
@@ -0,0 +1,140 @@
+import { renderImage } from "./Screenshot.js";
+import { GifEncoder } from "./GifEncoder.js";
+
+/**
+ * Records a full 360° turn of the model. Each frame sets the rotation
+ * explicitly instead of relying on wall-clock time, so the last frame
+ * lines up with the first and the loop is seamless.
+ */
+export const TurntableFormats = {
+    webm: "video/webm",
+    gif: "image/gif"
+};
+
+const PALETTE_SAMPLE_FRAMES = 8;
+
+/**
+ * @param {THREE.WebGLRenderer} renderer
+ * @param {THREE.Scene} scene
+ * @param {THREE.PerspectiveCamera} camera
+ * @param {THREE.Object3D} object the group to spin around its Y axis
+ * @param {Object} options
+ * @param {number} options.width
+ * @param {number} options.height
+ * @param {number} [options.frames] frames per turn, 120 by default
+ * @param {number} [options.fps] 30 by default
+ * @param {string} [options.format] `webm` (default) or `gif`
+ * @param {boolean} [options.transparent] GIF only
+ * @param {function(number): void} [options.onProgress] called with 0-1
+ * @returns {Promise<Blob>}
+ */
+export async function recordTurntable(renderer, scene, camera, object, options) {
+    var format = options.format || "webm";
+    var frames = Math.round(options.frames || 120);
+    var fps = options.fps || 30;
+    var onProgress = options.onProgress || function () { };
+    if (!(format in TurntableFormats))
+        throw new Error("Unknown turntable format: " + format);
+    if (!(frames > 0 && fps > 0))
+        throw new Error("Turntable frames and fps must be positive");
+
+    var startAngle = object.rotation.y;
+    var imageOptions = {
+        width: options.width,
+        height: options.height,
+        transparent: options.transparent && format == "gif"
+    };
+    var canvas = document.createElement("canvas");
+    var renderFrame = function (frame) {
+        object.rotation.y = startAngle + frame / frames * Math.PI * 2;
+        object.updateMatrixWorld();
+        return renderImage(renderer, scene, camera, imageOptions, canvas);
+    };
+
+    try {
+        if (format == "gif")
+            return await recordGif(renderFrame, frames, fps, imageOptions.transparent, onProgress);
+        return await recordWebM(renderFrame, frames, fps, onProgress);
+    }
+    finally {
+        object.rotation.y = startAngle;
+    }
+}
+
+async function recordGif(renderFrame, frames, fps, transparent, onProgress) {
+    var samples = [];
+    for (var i = 0; i < Math.min(frames, PALETTE_SAMPLE_FRAMES); i++)
+        samples.push(readPixels(renderFrame(Math.floor(i * frames / Math.min(frames, PALETTE_SAMPLE_FRAMES)))));
+
+    var canvas = renderFrame(0);
+    var encoder = new GifEncoder(canvas.width, canvas.height, {
+        palette: GifEncoder.buildPalette(samples),
+        delay: 1000 / fps,
+        transparent: transparent
+    });
+    for (var frame = 0; frame < frames; frame++) {
+        encoder.addFrame(readPixels(renderFrame(frame)));
+        onProgress((frame + 1) / frames);
+        //let the page breathe between frames
+        await new Promise((resolve) => setTimeout(resolve, 0));
+    }
+    return encoder.finish();
+}
+
+/**
+ * MediaRecorder timestamps frames by wall-clock time, so frames are pushed
+ * into a manual capture stream at exactly the target rate.
+ */
+function recordWebM(renderFrame, frames, fps, onProgress) {
+    if (typeof MediaRecorder == "undefined")
+        return Promise.reject(new Error("This browser cannot record video (MediaRecorder is missing)"));
+    var mimeType = ["video/webm;codecs=vp9", "video/webm;codecs=vp8", "video/webm"].find((type) => MediaRecorder.isTypeSupported(type));
+    if (mimeType == undefined)
+        return Promise.reject(new Error("This browser cannot record WebM video"));
+
+    var source = renderFrame(0);
+    var canvas = document.createElement("canvas");
+    canvas.width = source.width;
+    canvas.height = source.height;
+    var context = canvas.getContext("2d");
+    var stream = canvas.captureStream(0);
+    var track = stream.getVideoTracks()[0];
+    var recorder = new MediaRecorder(stream, { mimeType: mimeType });
+    var chunks = [];
+
+    return new Promise(function (resolve, reject) {
+        recorder.ondataavailable = function (event) {
+            if (event.data.size > 0)
+                chunks.push(event.data);
+        };
+        recorder.onstop = function () {
+            track.stop();
+            resolve(new Blob(chunks, { type: "video/webm" }));
+        };
+        recorder.onerror = function (event) {
+            track.stop();
+            reject(event.error);
+        };
+        recorder.start();
+
+        var frame = 0;
+        var interval = 1000 / fps;
+        var start = performance.now();
+        function next() {
+            if (frame >= frames) {
+                recorder.stop();
+                return;
+            }
+            context.drawImage(renderFrame(frame), 0, 0);
+            track.requestFrame();
+            frame++;
+            onProgress(frame / frames);
+            setTimeout(next, Math.max(0, start + frame * interval - performance.now()));
+        }
+        next();
+    });
+}
+
+function readPixels(canvas) {
+    return canvas.getContext("2d").getImageData(0, 0, canvas.width, canvas.height).data;
+}
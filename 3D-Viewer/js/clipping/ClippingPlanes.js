@@ -0,0 +1,528 @@
+import { modelBox } from "../measure/MeasureTool.js";
+
+/**
+ * Section planes that cut the model open. Planes are kept in the model's
+ * own coordinates, so a section turns with the model, and are handed to
+ * three.js as world-space clipping planes on every material of the model.
+ *
+ * Cut faces are capped with the stencil buffer: drawing the back faces
+ * behind a plane and erasing its front faces leaves a mark wherever the
+ * plane runs through the inside of a closed mesh, and the cap is only
+ * drawn there.
+ */
+export const MAX_CLIP_PLANES = 3;
+export const ClipAxes = ["x", "y", "z", "-x", "-y", "-z", "free"];
+
+const PLANE_COLORS = [0xe04848, 0x48a848, 0x4878e0];
+//after the model, in plane order: back faces, front faces, cap
+const RENDER_ORDER = 1000;
+const GIZMO_RENDER_ORDER = 2000;
+const Z_AXIS = new THREE.Vector3(0, 0, 1);
+
+export class ClippingPlanes {
+    /**
+     * @param {THREE.WebGLRenderer} renderer
+     * @param {THREE.Camera} camera
+     * @param {Object} options
+     * @param {function(): void} options.onChange called when something needs drawing
+     * @param {function(): void} options.onPlanesChange called when a plane is dragged by its handle
+     */
+    constructor(renderer, camera, options) {
+        this.camera = camera;
+        this.domElement = renderer.domElement;
+        this.onChange = options.onChange;
+        this.onPlanesChange = options.onPlanesChange;
+        renderer.localClippingEnabled = true;
+
+        this.root = null;
+        this.box = new THREE.Box3();
+        this.caps = true;
+        this.gizmosVisible = false;
+        //world-space planes of the enabled sections, shared by every clipped material
+        this.clippingPlanes = [];
+        this.clippedMaterials = new Set();
+        this.stencils = [];
+        this.stencilKey = "";
+        this.raycaster = new THREE.Raycaster();
+        this.drag = null;
+
+        this.group = new THREE.Group();
+        this.group.name = "clipping";
+        this.group.userData.overlay = true;
+        this.group.userData.clipping = true;
+        this.planes = [];
+        for (var i = 0; i < MAX_CLIP_PLANES; i++)
+            this.planes.push(this.createPlane(i));
+
+        this._onPointerDown = (event) => this.onPointerDown(event);
+        this._onPointerMove = (event) => this.onPointerMove(event);
+        this._onPointerUp = (event) => this.onPointerUp(event);
+        //capture, so a grabbed handle is not also a rotation or a measuring click
+        this.domElement.addEventListener('pointerdown', this._onPointerDown, true);
+        this.domElement.addEventListener('pointermove', this._onPointerMove, false);
+        this.domElement.addEventListener('pointerup', this._onPointerUp, false);
+        this.domElement.addEventListener('pointercancel', this._onPointerUp, false);
+    }
+
+    createPlane(index) {
+        var color = PLANE_COLORS[index];
+        var plane = {
+            index: index,
+            enabled: false,
+            axis: ClipAxes[index],
+            normal: axisVector(ClipAxes[index], new THREE.Vector3()),
+            //0 keeps the whole model, 1 cuts all of it away
+            position: 0.5,
+            local: new THREE.Plane(),
+            world: new THREE.Plane()
+        };
+
+        var stencil = {
+            depthWrite: false,
+            depthTest: false,
+            colorWrite: false,
+            stencilWrite: true,
+            stencilFunc: THREE.AlwaysStencilFunc,
+            clippingPlanes: [plane.world]
+        };
+        plane.backMaterial = new THREE.MeshBasicMaterial(Object.assign({
+            side: THREE.BackSide,
+            stencilFail: THREE.IncrementWrapStencilOp,
+            stencilZFail: THREE.IncrementWrapStencilOp,
+            stencilZPass: THREE.IncrementWrapStencilOp
+        }, stencil));
+        plane.frontMaterial = new THREE.MeshBasicMaterial(Object.assign({
+            side: THREE.FrontSide,
+            stencilFail: THREE.DecrementWrapStencilOp,
+            stencilZFail: THREE.DecrementWrapStencilOp,
+            stencilZPass: THREE.DecrementWrapStencilOp
+        }, stencil));
+
+        plane.cap = new THREE.Mesh(new THREE.PlaneGeometry(1, 1), new THREE.MeshStandardMaterial({
+            color: color,
+            roughness: 0.8,
+            side: THREE.DoubleSide,
+            stencilWrite: true,
+            stencilRef: 0,
+            stencilFunc: THREE.NotEqualStencilFunc,
+            stencilFail: THREE.ReplaceStencilOp,
+            stencilZFail: THREE.ReplaceStencilOp,
+            stencilZPass: THREE.ReplaceStencilOp
+        }));
+        plane.cap.renderOrder = RENDER_ORDER + index * 3 + 2;
+        //the next plane's stencil has to start from zero
+        plane.cap.onAfterRender = (renderer) => renderer.clearStencil();
+
+        plane.outline = new THREE.LineLoop(
+            new THREE.BufferGeometry().setFromPoints([[-0.5, -0.5], [0.5, -0.5], [0.5, 0.5], [-0.5, 0.5]].map((corner) => new THREE.Vector3(corner[0], corner[1], 0))),
+            new THREE.LineBasicMaterial({ color: color, depthTest: false, transparent: true, opacity: 0.8 })
+        );
+        plane.outline.renderOrder = GIZMO_RENDER_ORDER;
+
+        plane.handle = new THREE.ArrowHelper(plane.normal, new THREE.Vector3(), 1, color);
+        [plane.handle.line, plane.handle.cone].forEach(function (part) {
+            part.material.depthTest = false;
+            part.material.transparent = true;
+            part.renderOrder = GIZMO_RENDER_ORDER;
+        });
+
+        //handles are picked by pickHandle, nothing else should hit the gizmos
+        [plane.cap, plane.outline, plane.handle.line, plane.handle.cone].forEach((object) => object.raycast = function () { });
+        [plane.cap, plane.outline, plane.handle].forEach(function (object) {
+            object.visible = false;
+            this.group.add(object);
+        }, this);
+        return plane;
+    }
+
+    /**
+     * Move the sections to another model. Planes keep their settings, and
+     * their positions are relative to the new model's bounds.
+     * @param {THREE.Object3D} root the model, or null
+     */
+    setModel(root) {
+        this.drag = null;
+        this.unclipMaterials();
+        this.removeStencils();
+        this.group.removeFromParent();
+        this.root = root;
+        if (root != null) {
+            modelBox(root, this.box);
+            root.add(this.group);
+        }
+        this.refresh();
+    }
+
+    /**
+     * Change some settings of one plane. A `normal` without an `axis`
+     * makes the plane free.
+     * @param {number} index 0 to MAX_CLIP_PLANES - 1
+     * @param {Object} changes
+     * @param {boolean} [changes.enabled]
+     * @param {string} [changes.axis] one of ClipAxes
+     * @param {number[]} [changes.normal] model-space normal pointing at the part that is kept
+     * @param {number} [changes.position] 0-1 across the model along the normal
+     */
+    setPlane(index, changes) {
+        var plane = this.planes[index];
+        if (plane == undefined)
+            throw new Error("Clipping plane index must be 0 to " + (MAX_CLIP_PLANES - 1));
+        if (changes.axis !== undefined && ClipAxes.indexOf(changes.axis) < 0)
+            throw new Error("Unknown clipping axis: " + changes.axis);
+        var normal = null;
+        if (changes.normal !== undefined) {
+            normal = Array.isArray(changes.normal) && changes.normal.length == 3 ? new THREE.Vector3().fromArray(changes.normal) : null;
+            if (normal == null || !isFinite(normal.lengthSq()) || normal.lengthSq() == 0)
+                throw new Error("A clipping plane normal must be three numbers, not all zero");
+        }
+        if (changes.position !== undefined && !(typeof changes.position == "number" && isFinite(changes.position)))
+            throw new Error("A clipping plane position must be a number from 0 to 1");
+
+        if (changes.enabled !== undefined)
+            plane.enabled = !!changes.enabled;
+        if (normal != null) {
+            plane.axis = "free";
+            plane.normal.copy(normal).normalize();
+        }
+        if (changes.axis !== undefined) {
+            plane.axis = changes.axis;
+            axisVector(plane.axis, plane.normal);
+        }
+        if (changes.position !== undefined)
+            plane.position = THREE.MathUtils.clamp(changes.position, 0, 1);
+        this.refresh();
+    }
+
+    /**
+     * Turn a plane to face the camera, cutting away the half of the model
+     * that is nearest to the viewer.
+     */
+    alignToView(index) {
+        if (this.root == null)
+            return;
+        var direction = this.camera.getWorldDirection(new THREE.Vector3());
+        var rotation = this.root.getWorldQuaternion(new THREE.Quaternion()).invert();
+        this.setPlane(index, { enabled: true, normal: direction.applyQuaternion(rotation).toArray() });
+    }
+
+    setCaps(enabled) {
+        this.caps = !!enabled;
+        this.refresh();
+    }
+
+    /**
+     * Show the outline and drag handle of every enabled plane.
+     */
+    setGizmosVisible(visible) {
+        this.gizmosVisible = !!visible;
+        this.refresh();
+    }
+
+    /**
+     * @returns {Object[]} `{ enabled, axis, normal, position }` for every plane
+     */
+    toJSON() {
+        return this.planes.map((plane) => ({
+            enabled: plane.enabled,
+            axis: plane.axis,
+            normal: plane.normal.toArray(),
+            position: plane.position
+        }));
+    }
+
+    /**
+     * @returns {string[]} the enabled planes as `clip` URL parameter values
+     */
+    toParams() {
+        return this.toJSON().filter((plane) => plane.enabled).map(formatClipPlane);
+    }
+
+    //apply changed settings to the clipping planes, stencils and gizmos
+    refresh() {
+        var enabled = this.planes.filter((plane) => plane.enabled && this.root != null);
+        this.clippingPlanes.length = 0;
+        enabled.forEach((plane) => this.clippingPlanes.push(plane.world));
+        this.planes.forEach(function (plane) {
+            plane.cap.material.clippingPlanes = enabled.filter((other) => other != plane).map((other) => other.world);
+        });
+
+        var stencilKey = this.caps ? enabled.map((plane) => plane.index).join() : "";
+        if (stencilKey != this.stencilKey) {
+            this.removeStencils();
+            this.addStencils(this.caps ? enabled : []);
+            this.stencilKey = stencilKey;
+        }
+
+        var size = this.box.isEmpty() ? 1 : this.box.getSize(new THREE.Vector3()).length();
+        var center = this.box.isEmpty() ? new THREE.Vector3() : this.box.getCenter(new THREE.Vector3());
+        this.planes.forEach(function (plane) {
+            var range = projectBox(this.box, plane.normal);
+            var distance = range.min + (range.max - range.min) * plane.position;
+            plane.local.set(plane.normal, - distance);
+
+            var origin = center.clone().addScaledVector(plane.normal, distance - plane.normal.dot(center));
+            [plane.cap, plane.outline].forEach(function (object) {
+                object.position.copy(origin);
+                object.quaternion.setFromUnitVectors(Z_AXIS, plane.normal);
+                object.scale.setScalar(size);
+            });
+            plane.handle.position.copy(origin);
+            plane.handle.setDirection(plane.normal);
+            plane.handle.setLength(size * 0.2, size * 0.06, size * 0.03);
+
+            var shown = plane.enabled && this.root != null;
+            plane.cap.visible = shown && this.caps;
+            plane.outline.visible = shown && this.gizmosVisible;
+            plane.handle.visible = shown && this.gizmosVisible;
+        }, this);
+
+        if (this.clippingPlanes.length == 0)
+            this.unclipMaterials();
+        this.onChange();
+    }
+
+    /**
+     * Move the planes along with the model and clip materials that were
+     * swapped in since the last frame. Call before rendering.
+     */
+    update() {
+        if (this.root == null || this.clippingPlanes.length == 0)
+            return;
+        this.root.updateWorldMatrix(true, false);
+        this.planes.forEach((plane) => plane.world.copy(plane.local).applyMatrix4(this.root.matrixWorld));
+
+        //material variants and render modes replace materials at any time,
+        //and the overlays of other tools are cut along with the model
+        var planes = this.clippingPlanes;
+        visitModel(this.root, (object) => object.userData.clipping, (object) => {
+            if (object.material == undefined)
+                return;
+            [].concat(object.material).forEach(function (material) {
+                if (material.clippingPlanes !== planes) {
+                    material.clippingPlanes = planes;
+                    this.clippedMaterials.add(material);
+                }
+            }, this);
+        });
+    }
+
+    unclipMaterials() {
+        this.clippedMaterials.forEach((material) => material.clippingPlanes = null);
+        this.clippedMaterials.clear();
+    }
+
+    //stencil copies of every mesh, as children so they follow animations
+    addStencils(planes) {
+        if (this.root == null || planes.length == 0)
+            return;
+        var meshes = [];
+        visitModel(this.root, (object) => object.userData.overlay, function (object) {
+            if (object.isMesh)
+                meshes.push(object);
+        });
+        planes.forEach(function (plane) {
+            meshes.forEach(function (mesh) {
+                [plane.backMaterial, plane.frontMaterial].forEach(function (material, side) {
+                    var stencil = copyMesh(mesh, material);
+                    stencil.renderOrder = RENDER_ORDER + plane.index * 3 + side;
+                    mesh.add(stencil);
+                    this.stencils.push(stencil);
+                }, this);
+            }, this);
+        }, this);
+    }
+
+    removeStencils() {
+        this.stencils.forEach((stencil) => stencil.removeFromParent());
+        this.stencils = [];
+        this.stencilKey = "";
+    }
+
+    //the handle of an enabled plane under a canvas position
+    pickHandle(clientX, clientY) {
+        if (this.root == null || !this.gizmosVisible)
+            return null;
+        var rect = this.domElement.getBoundingClientRect();
+        var pointer = new THREE.Vector2(
+            (clientX - rect.left) / rect.width * 2 - 1,
+            - (clientY - rect.top) / rect.height * 2 + 1
+        );
+        this.raycaster.setFromCamera(pointer, this.camera);
+        var hits = [];
+        this.planes.forEach(function (plane) {
+            if (plane.handle.visible) {
+                [plane.handle.cone, plane.handle.line].forEach(function (part) {
+                    var before = hits.length;
+                    THREE[part.isMesh ? "Mesh" : "Line"].prototype.raycast.call(part, this.raycaster, hits);
+                    for (var i = before; i < hits.length; i++)
+                        hits[i].plane = plane;
+                }, this);
+            }
+        }, this);
+        hits.sort((a, b) => a.distance - b.distance);
+        return hits.length > 0 ? hits[0].plane : null;
+    }
+
+    onPointerDown(event) {
+        if (!event.isPrimary)
+            return;
+        var plane = this.pickHandle(event.clientX, event.clientY);
+        if (plane == null)
+            return;
+        event.stopImmediatePropagation();
+        this.domElement.setPointerCapture(event.pointerId);
+
+        //screen-space direction of the normal, in pixels per model unit
+        var origin = this.toScreen(plane.handle.position);
+        var tip = this.toScreen(plane.handle.position.clone().add(plane.normal));
+        var range = projectBox(this.box, plane.normal);
+        this.drag = {
+            plane: plane,
+            pointerId: event.pointerId,
+            x: event.clientX,
+            y: event.clientY,
+            position: plane.position,
+            axis: tip.sub(origin),
+            extent: range.max - range.min
+        };
+    }
+
+    onPointerMove(event) {
+        var drag = this.drag;
+        if (drag == null || event.pointerId != drag.pointerId)
+            return;
+        var length = drag.axis.lengthSq();
+        //a plane seen edge-on cannot be dragged along its normal
+        if (length < 1e-6 || drag.extent <= 0)
+            return;
+        var along = ((event.clientX - drag.x) * drag.axis.x + (event.clientY - drag.y) * drag.axis.y) / length;
+        this.setPlane(drag.plane.index, { position: drag.position + along / drag.extent });
+        this.onPlanesChange();
+    }
+
+    onPointerUp(event) {
+        if (this.drag == null || event.pointerId != this.drag.pointerId)
+            return;
+        this.drag = null;
+        if (this.domElement.hasPointerCapture(event.pointerId))
+            this.domElement.releasePointerCapture(event.pointerId);
+    }
+
+    //a point in the group's coordinates, in canvas pixels
+    toScreen(point) {
+        var screen = this.group.localToWorld(point.clone()).project(this.camera);
+        return new THREE.Vector2((screen.x + 1) / 2 * this.domElement.clientWidth, (1 - screen.y) / 2 * this.domElement.clientHeight);
+    }
+
+    dispose() {
+        this.setModel(null);
+        this.domElement.removeEventListener('pointerdown', this._onPointerDown, true);
+        this.domElement.removeEventListener('pointermove', this._onPointerMove, false);
+        this.domElement.removeEventListener('pointerup', this._onPointerUp, false);
+        this.domElement.removeEventListener('pointercancel', this._onPointerUp, false);
+        this.planes.forEach(function (plane) {
+            [plane.backMaterial, plane.frontMaterial, plane.cap.material, plane.cap.geometry, plane.outline.material, plane.outline.geometry].forEach((resource) => resource.dispose());
+            plane.handle.dispose();
+        });
+    }
+}
+
+/**
+ * Whether a section plane cuts a point away. Like three.js, a plane keeps
+ * only what lies in front of it.
+ * @param {THREE.Vector3} point in world space
+ * @param {THREE.Plane[]} planes world-space planes, such as `clippingPlanes`
+ * @returns {boolean}
+ */
+export function isClipped(point, planes) {
+    return planes.some((plane) => plane.distanceToPoint(point) < 0);
+}
+
+/**
+ * Parse a `clip` URL parameter value: an axis (`x`, `-y`...) or a normal
+ * (`1,0,1`), optionally followed by `:` and a position from 0 to 1.
+ * @param {string} text
+ * @returns {Object|null} settings for ClippingPlanes.setPlane, null if invalid
+ */
+export function parseClipPlane(text) {
+    var parts = text.trim().toLowerCase().split(":");
+    if (parts.length > 2)
+        return null;
+
+    var plane = { enabled: true, position: 0.5 };
+    if (ClipAxes.indexOf(parts[0]) >= 0 && parts[0] != "free") {
+        plane.axis = parts[0];
+    }
+    else {
+        var normal = parts[0].split(",").map((value) => value.trim() == "" ? NaN : Number(value));
+        if (normal.length != 3 || !normal.every(isFinite) || normal.every((value) => value == 0))
+            return null;
+        plane.normal = normal;
+    }
+
+    if (parts.length == 2) {
+        var position = parts[1].trim() == "" ? NaN : Number(parts[1]);
+        if (!(position >= 0 && position <= 1))
+            return null;
+        plane.position = position;
+    }
+    return plane;
+}
+
+/**
+ * @param {Object} plane `{ axis, normal, position }` as in ClippingPlanes.toJSON
+ * @returns {string} the `clip` URL parameter value
+ */
+export function formatClipPlane(plane) {
+    var round = (value) => Math.round(value * 1000) / 1000;
+    var direction = plane.axis == "free" ? plane.normal.map(round).join(",") : plane.axis;
+    return direction + ":" + round(plane.position);
+}
+
+function axisVector(axis, target) {
+    if (axis == "free")
+        return target;
+    target.set(0, 0, 0).setComponent("xyz".indexOf(axis.charAt(axis.length - 1)), axis.charAt(0) == "-" ? -1 : 1);
+    return target;
+}
+
+//range of `normal · p` over the corners of a box
+function projectBox(box, normal) {
+    if (box.isEmpty())
+        return { min: -1, max: 1 };
+    var min = 0;
+    var max = 0;
+    ["x", "y", "z"].forEach(function (axis) {
+        var low = normal[axis] * box.min[axis];
+        var high = normal[axis] * box.max[axis];
+        min += Math.min(low, high);
+        max += Math.max(low, high);
+    });
+    return { min: min, max: max };
+}
+
+//every object of the model, leaving out the subtrees `skip` picks
+function visitModel(object, skip, callback) {
+    if (skip(object))
+        return;
+    callback(object);
+    object.children.forEach((child) => visitModel(child, skip, callback));
+}
+
+function copyMesh(mesh, material) {
+    var copy;
+    if (mesh.isSkinnedMesh) {
+        copy = new THREE.SkinnedMesh(mesh.geometry, material);
+        copy.bind(mesh.skeleton, mesh.bindMatrix);
+    }
+    else {
+        copy = new THREE.Mesh(mesh.geometry, material);
+    }
+    copy.morphTargetInfluences = mesh.morphTargetInfluences;
+    copy.morphTargetDictionary = mesh.morphTargetDictionary;
+    copy.name = "clipping-stencil";
+    copy.userData.overlay = true;
+    copy.userData.clipping = true;
+    copy.raycast = function () { };
+    return copy;
+}
@@ -0,0 +1,233 @@
+import { estimateMemory, formatBytes } from "../ui/InspectorPanel.js";
+
+/**
+ * Two models of a ModelSet shown against each other, either in two
+ * viewports side by side or in one view split by a draggable wipe. Both
+ * sides are drawn with the same camera from the same shared pivot, so
+ * orbit, zoom and auto-rotate stay in step without syncing anything; each
+ * side only hides the other model while it is drawn. Between frames just
+ * the left model is shown, which is what captures and turntables record.
+ *
+ * The markup, a divider and one label per side, lives in index.html.
+ */
+export const CompareModes = ["off", "split", "wipe"];
+
+//fraction of the width moved per arrow key on the wipe handle
+const KEY_STEP = 0.05;
+
+export class ComparisonView {
+    /**
+     * @param {HTMLElement} element the `#compare-layer` element
+     * @param {THREE.WebGLRenderer} renderer
+     * @param {THREE.Camera} camera
+     * @param {ModelSet} models
+     * @param {function(): void} onChange called when the wipe is dragged
+     * @param {function(THREE.Mesh): Object} [original] as for InspectorPanel.setModel
+     */
+    constructor(element, renderer, camera, models, onChange, original) {
+        this.element = element;
+        this.renderer = renderer;
+        this.camera = camera;
+        this.models = models;
+        this.onChange = onChange;
+        this.original = original;
+        this.mode = "off";
+        //indices into models.entries, left then right
+        this.sides = [0, 1];
+        //wipe position as a fraction of the width
+        this.position = 0.5;
+        this.divider = element.querySelector(".compare-divider");
+        this.labels = Array.from(element.querySelectorAll(".compare-label"));
+        this.stats = [null, null];
+        this.memory = new WeakMap();
+
+        this._onPointerDown = (event) => this.onPointerDown(event);
+        this._onPointerMove = (event) => this.onPointerMove(event);
+        this._onPointerUp = (event) => this.onPointerUp(event);
+        this._onKeyDown = (event) => this.onKeyDown(event);
+        this.divider.addEventListener('pointerdown', this._onPointerDown, false);
+        this.divider.addEventListener('pointermove', this._onPointerMove, false);
+        this.divider.addEventListener('pointerup', this._onPointerUp, false);
+        this.divider.addEventListener('pointercancel', this._onPointerUp, false);
+        this.divider.addEventListener('keydown', this._onKeyDown, false);
+        this.layout();
+    }
+
+    get enabled() {
+        return this.mode != "off";
+    }
+
+    /**
+     * @param {string} mode one of CompareModes
+     */
+    setMode(mode) {
+        if (CompareModes.indexOf(mode) < 0)
+            throw new Error("Unknown compare mode: " + mode);
+        this.mode = mode;
+        this.stats = [null, null];
+        this.showAll();
+        this.layout();
+    }
+
+    /**
+     * @param {number} left index of the model on the left
+     * @param {number} right index of the model on the right
+     */
+    setSides(left, right) {
+        [left, right].forEach(function (index) {
+            if (!(Number.isInteger(index) && index >= 0))
+                throw new Error("A compared model must be given by its index, got " + index);
+        });
+        this.sides = [left, right];
+        this.stats = [null, null];
+        this.showAll();
+        this.layout();
+    }
+
+    /**
+     * @param {number} position where the wipe divides the view, 0 (left edge) to 1 (right edge)
+     */
+    setPosition(position) {
+        if (!(typeof position == "number" && isFinite(position)))
+            throw new Error("The wipe position must be a number from 0 to 1");
+        this.position = THREE.MathUtils.clamp(position, 0, 1);
+        this.layout();
+    }
+
+    /**
+     * @returns {number} width over height of one side's view
+     */
+    aspect(width, height) {
+        return (this.mode == "split" ? width / 2 : width) / Math.max(1, height);
+    }
+
+    //the model shown on a side, once it has loaded
+    entry(side) {
+        var entry = this.models.entries[this.sides[side]];
+        return entry != undefined && entry.root != null ? entry : null;
+    }
+
+    /**
+     * @returns {Object[]} the loaded models drawn on either side
+     */
+    shown() {
+        return [0, 1].map((side) => this.entry(side)).filter((entry) => entry != null);
+    }
+
+    /**
+     * Draw both sides, each with only its own model visible.
+     * @param {THREE.Scene} scene
+     */
+    render(scene) {
+        var renderer = this.renderer;
+        var size = renderer.getSize(new THREE.Vector2());
+        var split = Math.round(size.x * (this.mode == "split" ? 0.5 : this.position));
+
+        renderer.setScissorTest(true);
+        [0, 1].forEach(function (side) {
+            var x = side == 0 ? 0 : split;
+            var width = side == 0 ? split : size.x - split;
+            this.show(this.entry(side));
+            renderer.setScissor(x, 0, width, size.y);
+            if (this.mode == "split")
+                renderer.setViewport(x, 0, width, size.y);
+            renderer.render(scene, this.camera);
+            this.updateStats(side, width > 0);
+        }, this);
+        renderer.setScissorTest(false);
+        renderer.setViewport(0, 0, size.x, size.y);
+        this.show(this.entry(0));
+    }
+
+    show(shown) {
+        this.models.entries.forEach((entry) => entry.placement.visible = entry == shown);
+    }
+
+    showAll() {
+        this.models.entries.forEach((entry) => entry.placement.visible = true);
+        if (this.enabled)
+            this.show(this.entry(0));
+    }
+
+    //triangles and draw calls of the side just drawn, and its model's memory
+    updateStats(side, drawn) {
+        var entry = this.entry(side);
+        if (entry == null) {
+            this.stats[side] = null;
+        }
+        else if (drawn) {
+            if (!this.memory.has(entry.root))
+                this.memory.set(entry.root, estimateMemory(entry.root, this.original));
+            var info = this.renderer.info.render;
+            this.stats[side] = { triangles: info.triangles, calls: info.calls, memory: this.memory.get(entry.root) };
+        }
+        this.showStats(side);
+    }
+
+    showStats(side) {
+        var entry = this.models.entries[this.sides[side]];
+        var stats = this.stats[side];
+        var text;
+        if (entry == undefined)
+            text = "No model " + this.sides[side];
+        else if (entry.root == null)
+            text = entry.name + " · loading";
+        else if (stats == null)
+            text = entry.name;
+        else
+            text = [entry.name, count(stats.triangles, "triangle"), count(stats.calls, "draw call"), formatBytes(stats.memory)].join(" · ");
+        if (this.labels[side].textContent != text)
+            this.labels[side].textContent = text;
+    }
+
+    //place the divider and labels for the mode
+    layout() {
+        this.element.hidden = !this.enabled;
+        var position = this.mode == "split" ? 0.5 : this.position;
+        this.divider.style.left = (position * 100) + "%";
+        this.divider.classList.toggle("draggable", this.mode == "wipe");
+        this.divider.tabIndex = this.mode == "wipe" ? 0 : -1;
+        this.divider.setAttribute("aria-valuenow", Math.round(position * 100));
+        [0, 1].forEach((side) => this.showStats(side));
+    }
+
+    onPointerDown(event) {
+        if (this.mode != "wipe")
+            return;
+        this.divider.setPointerCapture(event.pointerId);
+        event.preventDefault();
+    }
+
+    onPointerMove(event) {
+        if (!this.divider.hasPointerCapture(event.pointerId))
+            return;
+        var rect = this.element.getBoundingClientRect();
+        this.setPosition((event.clientX - rect.left) / Math.max(1, rect.width));
+        this.onChange();
+    }
+
+    onPointerUp(event) {
+        if (this.divider.hasPointerCapture(event.pointerId))
+            this.divider.releasePointerCapture(event.pointerId);
+    }
+
+    onKeyDown(event) {
+        if (this.mode != "wipe" || (event.key != "ArrowLeft" && event.key != "ArrowRight"))
+            return;
+        this.setPosition(this.position + (event.key == "ArrowLeft" ? - KEY_STEP : KEY_STEP));
+        this.onChange();
+        event.preventDefault();
+    }
+
+    dispose() {
+        this.divider.removeEventListener('pointerdown', this._onPointerDown, false);
+        this.divider.removeEventListener('pointermove', this._onPointerMove, false);
+        this.divider.removeEventListener('pointerup', this._onPointerUp, false);
+        this.divider.removeEventListener('pointercancel', this._onPointerUp, false);
+        this.divider.removeEventListener('keydown', this._onKeyDown, false);
+    }
+}
+
+function count(value, noun) {
+    return value.toLocaleString() + " " + noun + (value == 1 ? "" : "s");
+}
@@ -0,0 +1,199 @@
+import { ToneMappings } from "../lighting/EnvironmentLighting.js";
+import { RenderModes } from "../debug/RenderModes.js";
+import { LengthUnits } from "../measure/MeasureTool.js";
+import { Layouts } from "../scene/ModelSet.js";
+import { CompareModes } from "../compare/ComparisonView.js";
+
+/**
+ * Every URL parameter the viewer understands. Each entry declares a type,
+ * a default and, for numbers, the accepted range. README.md documents the
+ * same list for users. A `positional` list keeps empty and invalid values
+ * as null, so that its n-th value still belongs to the n-th model.
+ */
+export const VIEWER_PARAMETERS = {
+    model: { type: "string", multiple: true, default: [] },
+    modelOffset: { type: "vector", multiple: true, positional: true, default: [] },
+    //degrees
+    modelRotation: { type: "vector", multiple: true, positional: true, default: [] },
+    modelScale: { type: "number", min: 0.0001, max: 10000, multiple: true, positional: true, default: [] },
+    layout: { type: "enum", values: Layouts, default: "row" },
+    //shared turns all models together, active only the one picked in the model menu
+    pivot: { type: "enum", values: ["shared", "active"], default: "shared" },
+    //the first two models side by side or split by a wipe
+    compare: { type: "enum", values: CompareModes, default: "off" },
+    animation: { type: "string", default: null },
+    autoplay: { type: "boolean", default: true },
+    //KHR_materials_variants name
+    variant: { type: "string", default: null },
+    //URL of a JSON file, or the JSON itself
+    hotspots: { type: "string", default: null },
+    //text description of the model for screen readers
+    alt: { type: "string", default: null },
+    background: { type: "color", default: "#e0e0e0" },
+    //off for visitors whose system asks for reduced motion, unless the page turns it on
+    autoRotate: { type: "boolean", default: !prefersReducedMotion() },
+    //radians per second
+    autoRotateSpeed: { type: "number", min: 0, max: 100, default: 3 },
+    //seconds after the last interaction before auto-rotate resumes
+    autoRotateDelay: { type: "number", min: 0, max: 3600, default: 1.5 },
+    //degrees
+    yaw: { type: "number", min: -360, max: 360, default: 0 },
+    //degrees, within the controls' default pitch limits of ±1 radian
+    pitch: { type: "number", min: -57, max: 57, default: 0 },
+    minZoom: { type: "number", min: 0.01, max: 100, default: 0.1 },
+    maxZoom: { type: "number", min: 0.01, max: 100, default: 10 },
+    fov: { type: "number", min: 1, max: 179, default: 75 },
+    environment: { type: "string", default: "studio" },
+    toneMapping: { type: "enum", values: Object.keys(ToneMappings), default: "aces" },
+    exposure: { type: "number", min: 0.01, max: 100, default: 1 },
+    shadows: { type: "boolean", default: true },
+    //contact shadow darkness and reflection strength of the floor, 0 turns either off
+    groundShadow: { type: "number", min: 0, max: 1, default: 0.5 },
+    groundReflection: { type: "number", min: 0, max: 1, default: 0 },
+    renderMode: { type: "enum", values: RenderModes, default: "default" },
+    //length of one model unit
+    unit: { type: "enum", values: Object.keys(LengthUnits), default: "m" },
+    dimensions: { type: "boolean", default: false },
+    //section planes, parsed by parseClipPlane
+    clip: { type: "string", multiple: true, default: [] },
+    clipCaps: { type: "boolean", default: true },
+    //0 assembled, 1 every part moved out by its distance from the center
+    explode: { type: "number", min: 0, max: 1, default: 0 },
+    ui: { type: "boolean", default: true },
+    renderOnDemand: { type: "boolean", default: true },
+    maxPixelRatio: { type: "number", min: 0.25, max: 8, default: 2 },
+    //pages allowed to drive the embed API and hear its events, any page when empty
+    origin: { type: "origin", multiple: true, default: [] }
+};
+
+const BOOLEANS = {
+    "": true,
+    "true": true,
+    "1": true,
+    "yes": true,
+    "on": true,
+    "false": false,
+    "0": false,
+    "no": false,
+    "off": false
+};
+
+/**
+ * Parse a query string against a schema. Values are URL-decoded by
+ * URLSearchParams; anything that fails validation is reported with
+ * console.warn and replaced by the default.
+ * @param {string} search `location.search`
+ * @param {Object} [schema] defaults to VIEWER_PARAMETERS
+ * @returns {Object} one property per schema entry
+ */
+export function parseConfig(search, schema) {
+    schema = schema || VIEWER_PARAMETERS;
+    var params = new URLSearchParams(search);
+    var config = {};
+
+    Object.keys(schema).forEach(function (name) {
+        var definition = schema[name];
+        var values = params.getAll(name);
+
+        if (definition.multiple) {
+            config[name] = values
+                .map(function (value) {
+                    if (!definition.positional)
+                        return parseValue(name, definition, value);
+                    if (value.trim() == "")
+                        return null;
+                    var parsed = parseValue(name, definition, value);
+                    return parsed === undefined ? null : parsed;
+                })
+                .filter((value) => value !== undefined);
+            return;
+        }
+
+        if (values.length == 0) {
+            config[name] = definition.default;
+            return;
+        }
+        if (values.length > 1)
+            console.warn("3D-Viewer: parameter " + name + " given " + values.length + " times, using the last one");
+
+        var value = parseValue(name, definition, values[values.length - 1]);
+        config[name] = value === undefined ? definition.default : value;
+    });
+
+    params.forEach(function (value, name) {
+        if (!(name in schema))
+            console.warn("3D-Viewer: unknown parameter " + name);
+    });
+
+    //a range where min is above max cannot be honoured
+    if (schema == VIEWER_PARAMETERS && config.minZoom > config.maxZoom) {
+        console.warn("3D-Viewer: minZoom is larger than maxZoom, using the defaults");
+        config.minZoom = schema.minZoom.default;
+        config.maxZoom = schema.maxZoom.default;
+    }
+
+    return config;
+}
+
+//the parsed value, or undefined after a warning
+function parseValue(name, definition, raw) {
+    var value = raw.trim();
+    switch (definition.type) {
+        case "string":
+            if (value != "")
+                return value;
+            return invalid(name, raw, "a non-empty value");
+
+        case "boolean":
+            if (value.toLowerCase() in BOOLEANS)
+                return BOOLEANS[value.toLowerCase()];
+            return invalid(name, raw, "true or false");
+
+        case "number":
+            var number = Number(value);
+            if (value == "" || !isFinite(number))
+                return invalid(name, raw, "a number");
+            if (number < definition.min || number > definition.max)
+                return invalid(name, raw, "a number from " + definition.min + " to " + definition.max);
+            return number;
+
+        case "vector":
+            var vector = value.split(",").map((component) => component.trim() == "" ? NaN : Number(component));
+            if (vector.length == 3 && vector.every(isFinite))
+                return vector;
+            return invalid(name, raw, "three numbers separated by commas");
+
+        case "enum":
+            if (definition.values.indexOf(value) >= 0)
+                return value;
+            return invalid(name, raw, "one of " + definition.values.join(", "));
+
+        case "origin":
+            try {
+                var origin = new URL(value).origin;
+                if (origin != "null")
+                    return origin;
+            }
+            catch (e) {
+            }
+            return invalid(name, raw, "an origin such as https://example.com");
+
+        case "color":
+            //"#" has to be escaped as %23 in a URL, so the bare hex form is accepted too
+            if (/^#?([0-9a-f]{3}|[0-9a-f]{6})$/i.test(value))
+                return value.charAt(0) == "#" ? value : "#" + value;
+            if (value.toLowerCase() in THREE.Color.NAMES)
+                return value.toLowerCase();
+            return invalid(name, raw, "a hex color or a CSS color name");
+    }
+    return undefined;
+}
+
+function invalid(name, raw, expected) {
+    console.warn("3D-Viewer: invalid value \"" + raw + "\" for " + name + ", expected " + expected);
+    return undefined;
+}
+
+function prefersReducedMotion() {
+    return typeof window.matchMedia == "function" && window.matchMedia("(prefers-reduced-motion: reduce)").matches;
+}
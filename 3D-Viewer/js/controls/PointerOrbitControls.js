@@ -0,0 +1,275 @@
+/**
+ * Rotates, zooms and pans a model group with Pointer Events, so mouse, pen
+ * and touch share one code path. The camera stays put: dragging turns the
+ * group, pinching and the wheel scale it and two-finger drags move it.
+ */
+export class PointerOrbitControls {
+    /**
+     * @param {THREE.PerspectiveCamera} camera
+     * @param {HTMLElement} domElement element that receives the pointer events
+     * @param {Object} [options]
+     */
+    constructor(camera, domElement, options) {
+        options = options || {};
+
+        this.camera = camera;
+        this.domElement = domElement;
+        this.object = undefined;
+
+        this.rotateSpeed = options.rotateSpeed !== undefined ? options.rotateSpeed : 1;
+        //fraction of the release velocity lost every frame
+        this.damping = options.damping !== undefined ? options.damping : 0.1;
+        this.minPitch = options.minPitch !== undefined ? options.minPitch : -1;
+        this.maxPitch = options.maxPitch !== undefined ? options.maxPitch : 1;
+        this.minScale = options.minScale !== undefined ? options.minScale : 0.1;
+        this.maxScale = options.maxScale !== undefined ? options.maxScale : 10;
+        this.enablePan = options.enablePan !== undefined ? options.enablePan : true;
+        //rotation restored by reset()
+        this.homeRotation = options.homeRotation || new THREE.Euler();
+        this.doubleTapDelay = 300;
+
+        this.onStart = options.onStart || function () { };
+        this.onEnd = options.onEnd || function () { };
+        this.onChange = options.onChange || function () { };
+
+        this.pointers = new Map();
+        this.velocity = { x: 0, y: 0 };
+        this.transition = null;
+        this.lastMoveTime = 0;
+        this.lastTap = { time: 0, x: 0, y: 0 };
+        this.panning = false;
+
+        this._onPointerDown = (event) => this.onPointerDown(event);
+        this._onPointerMove = (event) => this.onPointerMove(event);
+        this._onPointerUp = (event) => this.onPointerUp(event);
+        this._onWheel = (event) => this.onWheel(event);
+        this._onContextMenu = (event) => event.preventDefault();
+
+        domElement.addEventListener('pointerdown', this._onPointerDown, false);
+        domElement.addEventListener('pointermove', this._onPointerMove, false);
+        domElement.addEventListener('pointerup', this._onPointerUp, false);
+        domElement.addEventListener('pointercancel', this._onPointerUp, false);
+        domElement.addEventListener('wheel', this._onWheel, false);
+        domElement.addEventListener('contextmenu', this._onContextMenu, false);
+    }
+
+    dispose() {
+        this.domElement.removeEventListener('pointerdown', this._onPointerDown, false);
+        this.domElement.removeEventListener('pointermove', this._onPointerMove, false);
+        this.domElement.removeEventListener('pointerup', this._onPointerUp, false);
+        this.domElement.removeEventListener('pointercancel', this._onPointerUp, false);
+        this.domElement.removeEventListener('wheel', this._onWheel, false);
+        this.domElement.removeEventListener('contextmenu', this._onContextMenu, false);
+    }
+
+    /**
+     * Apply inertia left over from the last drag. Call once per frame.
+     */
+    update() {
+        if (this.pointers.size > 0 || this.object == undefined)
+            return false;
+        if (this.transition != null)
+            return this.updateTransition();
+        if (Math.abs(this.velocity.x) < 1e-5 && Math.abs(this.velocity.y) < 1e-5) {
+            this.velocity.x = 0;
+            this.velocity.y = 0;
+            return false;
+        }
+
+        this.rotate(this.velocity.x, this.velocity.y);
+        this.velocity.x *= 1 - this.damping;
+        this.velocity.y *= 1 - this.damping;
+        return true;
+    }
+
+    rotate(yaw, pitch) {
+        this.object.rotation.y += yaw;
+        this.object.rotation.x = this.clampPitch(this.object.rotation.x + pitch);
+        this.onChange();
+    }
+
+    /**
+     * Turn the object smoothly to a pitch and yaw, the short way round.
+     * Grabbing the model cancels the turn.
+     * @param {number} pitch radians, clamped to the pitch limits
+     * @param {number} yaw radians
+     * @param {number} [duration] milliseconds, 600 by default
+     */
+    rotateTo(pitch, yaw, duration) {
+        if (this.object == undefined)
+            return;
+        var rotation = this.object.rotation;
+        var turn = Math.PI * 2;
+        var yawDelta = ((yaw - rotation.y) % turn + turn * 1.5) % turn - Math.PI;
+        this.velocity.x = 0;
+        this.velocity.y = 0;
+        this.transition = {
+            from: { x: rotation.x, y: rotation.y },
+            to: { x: this.clampPitch(pitch), y: rotation.y + yawDelta },
+            start: performance.now(),
+            duration: duration !== undefined ? duration : 600
+        };
+    }
+
+    updateTransition() {
+        var transition = this.transition;
+        var t = Math.min(1, (performance.now() - transition.start) / transition.duration);
+        var eased = t * t * (3 - 2 * t);
+        this.object.rotation.x = transition.from.x + (transition.to.x - transition.from.x) * eased;
+        this.object.rotation.y = transition.from.y + (transition.to.y - transition.from.y) * eased;
+        if (t == 1)
+            this.transition = null;
+        this.onChange();
+        return true;
+    }
+
+    clampPitch(pitch) {
+        return Math.max(this.minPitch, Math.min(this.maxPitch, pitch));
+    }
+
+    setPitchLimits(min, max) {
+        this.minPitch = min;
+        this.maxPitch = max;
+        if (this.object != undefined) {
+            this.object.rotation.x = this.clampPitch(this.object.rotation.x);
+            this.onChange();
+        }
+    }
+
+    zoom(factor) {
+        var scale = this.object.scale.x * factor;
+        scale = Math.max(this.minScale, Math.min(this.maxScale, scale));
+        this.object.scale.set(scale, scale, scale);
+        this.onChange();
+    }
+
+    /**
+     * Move the object by a screen-space offset in pixels, so that the point
+     * under the fingers stays under the fingers.
+     */
+    pan(dx, dy) {
+        var distance = this.camera.position.distanceTo(this.object.position);
+        var height = this.domElement.clientHeight || 1;
+        var worldPerPixel = 2 * distance * Math.tan(THREE.MathUtils.degToRad(this.camera.fov / 2)) / height;
+
+        var right = new THREE.Vector3().setFromMatrixColumn(this.camera.matrixWorld, 0);
+        var up = new THREE.Vector3().setFromMatrixColumn(this.camera.matrixWorld, 1);
+        this.object.position.addScaledVector(right, dx * worldPerPixel);
+        this.object.position.addScaledVector(up, - dy * worldPerPixel);
+        this.onChange();
+    }
+
+    reset() {
+        this.velocity.x = 0;
+        this.velocity.y = 0;
+        this.transition = null;
+        if (this.object == undefined)
+            return;
+        this.object.rotation.copy(this.homeRotation);
+        this.object.rotation.x = this.clampPitch(this.object.rotation.x);
+        this.object.position.set(0, 0, 0);
+        this.object.scale.set(1, 1, 1);
+        this.onChange();
+    }
+
+    onPointerDown(event) {
+        if (this.pointers.size == 0)
+            this.onStart();
+
+        this.domElement.setPointerCapture(event.pointerId);
+        this.pointers.set(event.pointerId, { x: event.clientX, y: event.clientY });
+        this.velocity.x = 0;
+        this.velocity.y = 0;
+        this.transition = null;
+        this.panning = event.button == 2 || event.shiftKey;
+
+        if (this.pointers.size == 1) {
+            var now = performance.now();
+            var tapDistance = Math.hypot(event.clientX - this.lastTap.x, event.clientY - this.lastTap.y);
+            if (now - this.lastTap.time < this.doubleTapDelay && tapDistance < 20) {
+                this.reset();
+                now = 0;
+            }
+            this.lastTap = { time: now, x: event.clientX, y: event.clientY };
+        }
+    }
+
+    onPointerMove(event) {
+        var previous = this.pointers.get(event.pointerId);
+        if (previous == undefined)
+            return;
+
+        if (this.object == undefined) {
+            this.pointers.set(event.pointerId, { x: event.clientX, y: event.clientY });
+            return;
+        }
+
+        if (this.pointers.size == 1) {
+            var dx = event.clientX - previous.x;
+            var dy = event.clientY - previous.y;
+            if (this.panning && this.enablePan) {
+                this.pan(dx, dy);
+            }
+            else {
+                var width = this.domElement.clientWidth || 1;
+                var height = this.domElement.clientHeight || 1;
+                this.velocity.x = dx / width * 4 * this.rotateSpeed;
+                this.velocity.y = dy / height * 2 * this.rotateSpeed;
+                this.lastMoveTime = performance.now();
+                this.rotate(this.velocity.x, this.velocity.y);
+            }
+            this.pointers.set(event.pointerId, { x: event.clientX, y: event.clientY });
+            return;
+        }
+
+        //two or more pointers: pinch with the first two, pan with their midpoint
+        var ids = Array.from(this.pointers.keys()).slice(0, 2);
+        if (ids.indexOf(event.pointerId) < 0)
+            return;
+        var a = this.pointers.get(ids[0]);
+        var b = this.pointers.get(ids[1]);
+        var before = { distance: Math.hypot(a.x - b.x, a.y - b.y), x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+
+        this.pointers.set(event.pointerId, { x: event.clientX, y: event.clientY });
+        a = this.pointers.get(ids[0]);
+        b = this.pointers.get(ids[1]);
+        var after = { distance: Math.hypot(a.x - b.x, a.y - b.y), x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+
+        if (before.distance > 0)
+            this.zoom(after.distance / before.distance);
+        if (this.enablePan)
+            this.pan(after.x - before.x, after.y - before.y);
+    }
+
+    onPointerUp(event) {
+        if (!this.pointers.has(event.pointerId))
+            return;
+
+        this.pointers.delete(event.pointerId);
+        if (this.domElement.hasPointerCapture(event.pointerId))
+            this.domElement.releasePointerCapture(event.pointerId);
+
+        //lifting one finger of a pinch should not fling the model
+        if (this.pointers.size > 0) {
+            this.velocity.x = 0;
+            this.velocity.y = 0;
+            return;
+        }
+
+        //holding still before letting go should not fling it either
+        if (performance.now() - this.lastMoveTime > 100) {
+            this.velocity.x = 0;
+            this.velocity.y = 0;
+        }
+
+        this.panning = false;
+        this.onEnd();
+    }
+
+    onWheel(event) {
+        if (this.object == undefined)
+            return;
+        event.preventDefault();
+        this.zoom(Math.exp(event.deltaY / -1000));
+    }
+}
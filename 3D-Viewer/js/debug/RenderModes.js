@@ -0,0 +1,316 @@
+/**
+ * Debug views of a model for checking assets: each mode temporarily swaps
+ * the materials (and, for texel density, the geometry) of every mesh, and
+ * `setMode("default")` puts the originals back untouched. A material set
+ * on a mesh while a mode is on, such as a material variant, is kept then;
+ * call `setMode` again to apply the mode to it.
+ */
+export const RenderModes = ["default", "wireframe", "normals", "uv", "matcap", "texelDensity"];
+
+//texture size assumed for meshes without a base color map
+const REFERENCE_TEXTURE_SIZE = 1024;
+const MISSING_UV_COLOR = 0xff00ff;
+
+export class RenderModeSwitcher {
+    constructor() {
+        this.root = null;
+        this.mode = "default";
+        //mesh -> { material, geometry } as loaded
+        this.originals = new Map();
+        this.overlays = [];
+        this.resources = [];
+        this.checkerTexture = null;
+        this.matcapTexture = null;
+    }
+
+    /**
+     * Restore the current model and apply the current mode to a new one.
+     * @param {THREE.Object3D} root the model, or null
+     */
+    setModel(root) {
+        var mode = this.mode;
+        this.setMode("default");
+        this.root = root;
+        this.setMode(mode);
+    }
+
+    /**
+     * @param {string} mode one of RenderModes
+     */
+    setMode(mode) {
+        if (RenderModes.indexOf(mode) < 0)
+            throw new Error("Unknown render mode: " + mode);
+
+        this.restore();
+        this.mode = mode;
+        if (this.root == null || mode == "default")
+            return;
+
+        var meshes = collectMeshes(this.root, []);
+        meshes.forEach((mesh) => this.originals.set(mesh, { material: mesh.material, geometry: mesh.geometry }));
+
+        switch (mode) {
+            case "wireframe":
+                var wireframe = new THREE.MeshBasicMaterial({ color: 0x000000, wireframe: true, transparent: true, opacity: 0.5 });
+                this.resources.push(wireframe);
+                meshes.forEach((mesh) => this.addWireframe(mesh, wireframe));
+                break;
+            case "normals":
+                this.replaceMaterials(meshes, () => new THREE.MeshNormalMaterial());
+                break;
+            case "uv":
+                var checker = this.getCheckerTexture();
+                this.replaceMaterials(meshes, function (mesh) {
+                    if (mesh.geometry.attributes.uv == undefined)
+                        return new THREE.MeshBasicMaterial({ color: MISSING_UV_COLOR });
+                    return new THREE.MeshBasicMaterial({ map: checker });
+                });
+                break;
+            case "matcap":
+                var matcap = this.getMatcapTexture();
+                this.replaceMaterials(meshes, function (mesh, material) {
+                    //keep normal maps, they are what matcap shading is best at showing
+                    return new THREE.MeshMatcapMaterial({ matcap: matcap, normalMap: material.normalMap || null });
+                });
+                break;
+            case "texelDensity":
+                this.applyTexelDensity(meshes);
+                break;
+        }
+        this.originals.forEach(function (original, mesh) {
+            original.appliedMaterial = mesh.material;
+            original.appliedGeometry = mesh.geometry;
+        });
+    }
+
+    /**
+     * What a mesh is drawn with outside the debug views, whatever mode is on.
+     * @param {THREE.Mesh} mesh
+     * @returns {{material: THREE.Material, geometry: THREE.BufferGeometry}}
+     */
+    original(mesh) {
+        var original = this.originals.get(mesh);
+        if (original == undefined)
+            return mesh;
+        //a material set while the mode is on, such as a variant, replaces the loaded one
+        return {
+            material: mesh.material === original.appliedMaterial ? original.material : mesh.material,
+            geometry: mesh.geometry === original.appliedGeometry ? original.geometry : mesh.geometry
+        };
+    }
+
+    restore() {
+        this.originals.forEach(function (original, mesh) {
+            if (mesh.material === original.appliedMaterial) {
+                mesh.material = original.material;
+                //renderer settings such as tone mapping may have changed while it was swapped out
+                [].concat(mesh.material).forEach((material) => material.needsUpdate = true);
+            }
+            if (mesh.geometry === original.appliedGeometry)
+                mesh.geometry = original.geometry;
+        });
+        this.originals.clear();
+        this.overlays.forEach((overlay) => overlay.removeFromParent());
+        this.overlays = [];
+        this.resources.forEach((resource) => resource.dispose());
+        this.resources = [];
+    }
+
+    dispose() {
+        this.setModel(null);
+        [this.checkerTexture, this.matcapTexture].forEach(function (texture) {
+            if (texture != null)
+                texture.dispose();
+        });
+        this.checkerTexture = null;
+        this.matcapTexture = null;
+    }
+
+    //one replacement per original material, so shared materials stay shared
+    replaceMaterials(meshes, create) {
+        var replacements = new Map();
+        meshes.forEach(function (mesh) {
+            var replace = (material) => {
+                var key = mesh.geometry.attributes.uv == undefined ? "no-uv:" + material.uuid : material.uuid;
+                if (!replacements.has(key)) {
+                    var replacement = create(mesh, material);
+                    replacement.side = material.side;
+                    replacements.set(key, replacement);
+                    this.resources.push(replacement);
+                }
+                return replacements.get(key);
+            };
+            mesh.material = Array.isArray(mesh.material) ? mesh.material.map(replace) : replace(mesh.material);
+        }, this);
+    }
+
+    //a second mesh drawing the edges on top of the untouched original
+    addWireframe(mesh, material) {
+        var overlay;
+        if (mesh.isSkinnedMesh) {
+            overlay = new THREE.SkinnedMesh(mesh.geometry, material);
+            overlay.bind(mesh.skeleton, mesh.bindMatrix);
+        }
+        else {
+            overlay = new THREE.Mesh(mesh.geometry, material);
+        }
+        //shared, so morph target animations show up in the overlay too
+        overlay.morphTargetInfluences = mesh.morphTargetInfluences;
+        overlay.morphTargetDictionary = mesh.morphTargetDictionary;
+        overlay.name = "wireframe";
+        overlay.userData.overlay = true;
+        overlay.raycast = function () { };
+        mesh.add(overlay);
+        this.overlays.push(overlay);
+    }
+
+    /**
+     * Colors every triangle by its texel density relative to the model's
+     * median: green is the median, blue a quarter of it or less and red four
+     * times or more. Meshes without UVs are magenta.
+     */
+    applyTexelDensity(meshes) {
+        this.root.updateWorldMatrix(true, true);
+        var toRoot = new THREE.Matrix4().copy(this.root.matrixWorld).invert();
+        var measured = meshes.map((mesh) => ({ mesh: mesh, densities: triangleDensities(mesh, toRoot) }));
+
+        var all = [];
+        measured.forEach(function (entry) {
+            if (entry.densities == null)
+                return;
+            entry.densities.forEach(function (density) {
+                if (density > 0)
+                    all.push(density);
+            });
+        });
+        all.sort((a, b) => a - b);
+        var median = all.length > 0 ? all[all.length >> 1] : 1;
+
+        var heatMaterial = new THREE.MeshBasicMaterial({ vertexColors: true, side: THREE.DoubleSide });
+        var missingMaterial = new THREE.MeshBasicMaterial({ color: MISSING_UV_COLOR, side: THREE.DoubleSide });
+        this.resources.push(heatMaterial, missingMaterial);
+
+        var color = new THREE.Color();
+        measured.forEach(function (entry) {
+            var mesh = entry.mesh;
+            if (entry.densities == null) {
+                mesh.material = missingMaterial;
+                return;
+            }
+
+            var geometry = mesh.geometry.index ? mesh.geometry.toNonIndexed() : mesh.geometry.clone();
+            var colors = new Float32Array(geometry.attributes.position.count * 3);
+            entry.densities.forEach(function (density, triangle) {
+                heatColor(density > 0 ? density / median : 1, color);
+                for (var vertex = triangle * 3; vertex < triangle * 3 + 3; vertex++)
+                    color.toArray(colors, vertex * 3);
+            });
+            geometry.setAttribute("color", new THREE.BufferAttribute(colors, 3));
+            this.resources.push(geometry);
+            mesh.geometry = geometry;
+            mesh.material = heatMaterial;
+        }, this);
+    }
+
+    getCheckerTexture() {
+        if (this.checkerTexture == null) {
+            var canvas = document.createElement("canvas");
+            canvas.width = canvas.height = 512;
+            var context = canvas.getContext("2d");
+            var cells = 8;
+            var size = canvas.width / cells;
+            //hue runs along U and V so that flipped or rotated islands stand out
+            for (var row = 0; row < cells; row++) {
+                for (var column = 0; column < cells; column++) {
+                    var hue = Math.round(column / cells * 270);
+                    var lightness = (row + column) % 2 == 0 ? 70 : 35 + row * 3;
+                    context.fillStyle = "hsl(" + hue + ", 70%, " + lightness + "%)";
+                    context.fillRect(column * size, row * size, size, size);
+                }
+            }
+            this.checkerTexture = new THREE.CanvasTexture(canvas);
+            this.checkerTexture.wrapS = THREE.RepeatWrapping;
+            this.checkerTexture.wrapT = THREE.RepeatWrapping;
+            this.checkerTexture.encoding = THREE.sRGBEncoding;
+        }
+        return this.checkerTexture;
+    }
+
+    getMatcapTexture() {
+        if (this.matcapTexture == null) {
+            var canvas = document.createElement("canvas");
+            canvas.width = canvas.height = 256;
+            var context = canvas.getContext("2d");
+            //a clay sphere lit from the top left
+            var gradient = context.createRadialGradient(90, 80, 10, 128, 128, 128);
+            gradient.addColorStop(0, "#ffffff");
+            gradient.addColorStop(0.5, "#b0aaa0");
+            gradient.addColorStop(1, "#302c28");
+            context.fillStyle = gradient;
+            context.fillRect(0, 0, canvas.width, canvas.height);
+            this.matcapTexture = new THREE.CanvasTexture(canvas);
+            this.matcapTexture.encoding = THREE.sRGBEncoding;
+        }
+        return this.matcapTexture;
+    }
+}
+
+/**
+ * Texels per model unit for every triangle of a mesh, or null without UVs.
+ * The texture size comes from the base color map of the mesh's material.
+ */
+function triangleDensities(mesh, toRoot) {
+    var geometry = mesh.geometry;
+    var uv = geometry.attributes.uv;
+    if (uv == undefined)
+        return null;
+
+    var position = geometry.attributes.position;
+    var index = geometry.index;
+    var count = index ? index.count : position.count;
+    var matrix = new THREE.Matrix4().multiplyMatrices(toRoot, mesh.matrixWorld);
+    var material = Array.isArray(mesh.material) ? mesh.material[0] : mesh.material;
+    var image = material.map && material.map.image;
+    var texels = image && image.width ? image.width * image.height : REFERENCE_TEXTURE_SIZE * REFERENCE_TEXTURE_SIZE;
+
+    var a = new THREE.Vector3();
+    var b = new THREE.Vector3();
+    var c = new THREE.Vector3();
+    var uvA = new THREE.Vector2();
+    var uvB = new THREE.Vector2();
+    var uvC = new THREE.Vector2();
+    var densities = new Float32Array(Math.floor(count / 3));
+    for (var triangle = 0; triangle < densities.length; triangle++) {
+        var ia = index ? index.getX(triangle * 3) : triangle * 3;
+        var ib = index ? index.getX(triangle * 3 + 1) : triangle * 3 + 1;
+        var ic = index ? index.getX(triangle * 3 + 2) : triangle * 3 + 2;
+        a.fromBufferAttribute(position, ia).applyMatrix4(matrix);
+        b.fromBufferAttribute(position, ib).applyMatrix4(matrix);
+        c.fromBufferAttribute(position, ic).applyMatrix4(matrix);
+        uvA.fromBufferAttribute(uv, ia);
+        uvB.fromBufferAttribute(uv, ib);
+        uvC.fromBufferAttribute(uv, ic);
+
+        var area = b.sub(a).cross(c.sub(a)).length() / 2;
+        var uvArea = Math.abs((uvB.x - uvA.x) * (uvC.y - uvA.y) - (uvC.x - uvA.x) * (uvB.y - uvA.y)) / 2;
+        densities[triangle] = area > 0 ? Math.sqrt(uvArea * texels / area) : 0;
+    }
+    return densities;
+}
+
+//meshes of the model, without the overlays tools add to it (`userData.overlay`)
+function collectMeshes(object, meshes) {
+    if (object.userData.overlay)
+        return meshes;
+    if (object.isMesh)
+        meshes.push(object);
+    object.children.forEach((child) => collectMeshes(child, meshes));
+    return meshes;
+}
+
+//blue below the median, green at it, red above, on a log2 scale of ±2
+function heatColor(ratio, target) {
+    var t = THREE.MathUtils.clamp(Math.log2(ratio) / 2, -1, 1);
+    //hue 240° (blue) through 120° (green) to 0° (red)
+    return target.setHSL((1 - t) / 3, 1, 0.5);
+}
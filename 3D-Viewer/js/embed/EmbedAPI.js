@@ -0,0 +1,69 @@
+/**
+ * postMessage bridge between the viewer and the page that embeds it.
+ * Every message in either direction is a plain object tagged with
+ * `channel: "3d-viewer"` so other traffic on the window is ignored.
+ * The protocol is documented in 3D-Viewer/README.md.
+ */
+export const CHANNEL = "3d-viewer";
+
+export class EmbedAPI {
+    /**
+     * @param {Object<string, function(Object): *>} handlers command name -> handler
+     * @param {string[]} [origins] origins of the host pages commands are taken
+     *     from and events are sent to; any page when empty
+     */
+    constructor(handlers, origins) {
+        this.handlers = handlers;
+        this.origins = origins || [];
+        this.host = window.parent !== window ? window.parent : null;
+        window.addEventListener('message', (event) => this.onMessage(event), false);
+    }
+
+    /**
+     * Broadcast an event to the host page.
+     */
+    emit(type, data) {
+        if (this.host == null)
+            return;
+        var message = Object.assign({ channel: CHANNEL, type: type }, data);
+        //the browser only delivers to the host if its origin is the one targeted
+        if (this.origins.length == 0)
+            this.host.postMessage(message, "*");
+        else
+            this.origins.forEach((origin) => this.host.postMessage(message, origin));
+    }
+
+    /**
+     * Run a command sent by the host. If the command carries an `id`, the
+     * handler's (possibly async) return value is sent back as a `result`.
+     */
+    onMessage(event) {
+        var data = event.data;
+        if (data == null || data.channel !== CHANNEL)
+            return;
+        if (this.origins.length > 0 && this.origins.indexOf(event.origin) < 0) {
+            console.warn("3D-Viewer: ignoring an embed command from " + event.origin + ", which is not an allowed origin");
+            return;
+        }
+
+        var handler = this.handlers[data.type];
+        var reply = (message) => {
+            if (data.id !== undefined && event.source != null)
+                event.source.postMessage(Object.assign({ channel: CHANNEL, type: "result", id: data.id }, message), event.origin === "null" ? "*" : event.origin);
+        };
+
+        if (handler == undefined) {
+            console.warn("3D-Viewer: unknown embed command", data.type);
+            reply({ error: "Unknown command: " + data.type });
+            return;
+        }
+
+        Promise.resolve()
+            .then(() => handler(data))
+            .then((result) => reply({ result: result }))
+            .catch((error) => {
+                console.error(error);
+                reply({ error: String(error && error.message || error) });
+            });
+    }
+}
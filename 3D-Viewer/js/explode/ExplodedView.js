@@ -0,0 +1,137 @@
+/**
+ * Pulls an assembly apart. Wherever a node has two or more parts under it,
+ * each part moves away from the node's center along the offset of its own
+ * center, so sub-assemblies move as one and then spread out themselves.
+ * Offsets are added to the parts' positions while exploded; a position
+ * written by someone else in the meantime, such as an animation, becomes
+ * the part's new resting place.
+ */
+export class ExplodedView {
+    constructor() {
+        this.root = null;
+        this.parts = [];
+        //shown amount, eased towards target
+        this.amount = 0;
+        this.target = 0;
+        //amount currently added to the parts' positions
+        this.applied = 0;
+    }
+
+    /**
+     * @returns {boolean} whether the model has anything to pull apart
+     */
+    get explodable() {
+        return this.parts.length > 0;
+    }
+
+    /**
+     * @param {THREE.Object3D} root the model, or null
+     */
+    setModel(root) {
+        this.restore();
+        this.root = root;
+        this.parts = [];
+        if (root == null)
+            return;
+
+        root.updateWorldMatrix(true, true);
+        var toRoot = new THREE.Matrix4().copy(root.matrixWorld).invert();
+        var boxes = new Map();
+        measure(root, toRoot, boxes);
+        boxes.forEach((box, object) => {
+            var children = object.children.filter((child) => boxes.has(child));
+            if (children.length < 2)
+                return;
+            var center = box.getCenter(new THREE.Vector3());
+            //offsets are measured in root space and moved into each parent's own space
+            var toParent = new THREE.Matrix3().setFromMatrix4(new THREE.Matrix4().multiplyMatrices(toRoot, object.matrixWorld).invert());
+            children.forEach((child) => {
+                var offset = boxes.get(child).getCenter(new THREE.Vector3()).sub(center).applyMatrix3(toParent);
+                if (offset.lengthSq() > 0)
+                    this.parts.push({ object: child, offset: offset, rest: new THREE.Vector3(), exploded: new THREE.Vector3() });
+            });
+        });
+        this.apply();
+    }
+
+    /**
+     * @param {number} amount 0 for the assembled model, 1 moves every part out by its distance from the center
+     * @param {boolean} [animate] ease towards the amount instead of jumping, true by default
+     */
+    setAmount(amount, animate) {
+        if (!(typeof amount == "number" && isFinite(amount)))
+            throw new Error("The explode amount must be a number from 0 to 1");
+        this.target = THREE.MathUtils.clamp(amount, 0, 1);
+        if (animate === false || this.root == null)
+            this.amount = this.target;
+    }
+
+    /**
+     * Put every part back, animated.
+     */
+    reset() {
+        this.setAmount(0);
+    }
+
+    //take the offsets out again, keeping positions that were written since
+    restore() {
+        if (this.applied == 0)
+            return;
+        this.parts.forEach(function (part) {
+            if (part.object.position.equals(part.exploded))
+                part.object.position.copy(part.rest);
+        });
+        this.applied = 0;
+    }
+
+    /**
+     * Ease towards the target amount and move the parts. Call once per
+     * frame, after animations are updated.
+     * @returns {boolean} whether the parts are still moving
+     */
+    update(delta) {
+        var moving = this.amount != this.target;
+        if (moving) {
+            this.amount += (this.target - this.amount) * (1 - Math.exp(- delta * 8));
+            if (Math.abs(this.target - this.amount) < 1e-3)
+                this.amount = this.target;
+        }
+        this.restore();
+        this.apply();
+        return moving;
+    }
+
+    apply() {
+        var amount = this.amount;
+        if (amount == 0)
+            return;
+        this.parts.forEach(function (part) {
+            part.rest.copy(part.object.position);
+            part.object.position.addScaledVector(part.offset, amount);
+            part.exploded.copy(part.object.position);
+        });
+        this.applied = amount;
+    }
+}
+
+//root-space bounds of every node with meshes below it, skipping tool overlays
+function measure(object, toRoot, boxes) {
+    if (object.userData.overlay)
+        return null;
+    var box = new THREE.Box3();
+    if (object.isMesh && object.geometry != undefined) {
+        if (object.geometry.boundingBox == null)
+            object.geometry.computeBoundingBox();
+        var matrix = new THREE.Matrix4().multiplyMatrices(toRoot, object.matrixWorld);
+        box.copy(object.geometry.boundingBox).applyMatrix4(matrix);
+    }
+    object.children.forEach(function (child) {
+        var childBox = measure(child, toRoot, boxes);
+        if (childBox != null)
+            box.union(childBox);
+    });
+    if (box.isEmpty())
+        return null;
+    boxes.set(object, box);
+    return box;
+}
@@ -0,0 +1,251 @@
+import { isClipped } from "../clipping/ClippingPlanes.js";
+
+/**
+ * Clickable labels pinned to points on the model. Each hotspot is an empty
+ * Object3D parented to the model, so it follows the pivot for free; once a
+ * frame its screen position is projected onto an HTML button and a ray from
+ * the camera decides whether the model hides it.
+ *
+ * A hotspot is `{ id, label, content, position }`, `position` being in the
+ * model's own coordinates and `content` an HTML fragment for the card.
+ */
+//raycasting a dense mesh every frame is costly, so occlusion lags a little
+const OCCLUSION_INTERVAL = 100;
+
+export class HotspotLayer {
+    /**
+     * @param {HTMLElement} element the `#hotspot-layer` element
+     * @param {THREE.Camera} camera
+     * @param {function(Object): void} onSelect called with the clicked hotspot
+     */
+    constructor(element, camera, onSelect) {
+        this.element = element;
+        this.camera = camera;
+        this.onSelect = onSelect;
+        this.root = null;
+        this.hotspots = [];
+        this.raycaster = new THREE.Raycaster();
+        //world-space section planes, what they cut away hides nothing
+        this.clippingPlanes = [];
+        this.lastOcclusionTest = 0;
+    }
+
+    /**
+     * @param {THREE.Object3D} root the model the positions are relative to
+     * @param {Object[]} hotspots
+     */
+    setHotspots(root, hotspots) {
+        this.clear();
+        this.root = root;
+        hotspots.forEach(function (hotspot, index) {
+            var anchor = new THREE.Object3D();
+            anchor.name = "hotspot:" + hotspot.id;
+            anchor.position.copy(hotspot.position);
+            anchor.userData.overlay = true;
+            root.add(anchor);
+
+            var button = document.createElement("button");
+            button.type = "button";
+            button.className = "hotspot";
+            button.textContent = index + 1;
+            button.title = hotspot.label;
+            button.setAttribute("aria-label", hotspot.label);
+            button.addEventListener('click', () => this.onSelect(hotspot), false);
+            this.element.appendChild(button);
+
+            this.hotspots.push({ data: hotspot, anchor: anchor, button: button });
+        }, this);
+    }
+
+    clear() {
+        this.hotspots.forEach(function (hotspot) {
+            hotspot.anchor.removeFromParent();
+            hotspot.button.remove();
+        });
+        this.hotspots = [];
+        this.root = null;
+    }
+
+    /**
+     * @returns {Object[]} the hotspot definitions, positions as arrays
+     */
+    toJSON() {
+        return this.hotspots.map(function (hotspot) {
+            return {
+                id: hotspot.data.id,
+                label: hotspot.data.label,
+                content: hotspot.data.content,
+                position: hotspot.data.position.toArray()
+            };
+        });
+    }
+
+    find(id) {
+        var hotspot = this.hotspots.find((h) => h.data.id == id);
+        return hotspot ? hotspot.data : undefined;
+    }
+
+    /**
+     * World position of a hotspot's anchor.
+     */
+    getWorldPosition(id, target) {
+        var hotspot = this.hotspots.find((h) => h.data.id == id);
+        return hotspot.anchor.getWorldPosition(target);
+    }
+
+    /**
+     * Move the buttons to their anchors. Call after rendering, when the
+     * world matrices are current.
+     * @param {boolean} [force] test occlusion now, e.g. on the last frame before the loop stops
+     */
+    update(force) {
+        if (this.hotspots.length == 0)
+            return;
+
+        var now = performance.now();
+        var testOcclusion = force || now - this.lastOcclusionTest >= OCCLUSION_INTERVAL;
+        if (testOcclusion)
+            this.lastOcclusionTest = now;
+
+        var width = this.element.clientWidth;
+        var height = this.element.clientHeight;
+        var cameraPosition = this.camera.getWorldPosition(new THREE.Vector3());
+        var world = new THREE.Vector3();
+        var screen = new THREE.Vector3();
+
+        this.hotspots.forEach(function (hotspot) {
+            hotspot.anchor.getWorldPosition(world);
+            screen.copy(world).project(this.camera);
+
+            var inFrustum = screen.z > -1 && screen.z < 1 && Math.abs(screen.x) <= 1 && Math.abs(screen.y) <= 1;
+            hotspot.button.hidden = !inFrustum;
+            if (!inFrustum)
+                return;
+
+            hotspot.button.style.transform = "translate(" + ((screen.x + 1) / 2 * width) + "px, " + ((1 - screen.y) / 2 * height) + "px)";
+            if (testOcclusion)
+                hotspot.button.classList.toggle("occluded", this.isOccluded(cameraPosition, world));
+        }, this);
+    }
+
+    //true when some other part of the model sits between the camera and the point
+    isOccluded(cameraPosition, point) {
+        var direction = point.clone().sub(cameraPosition);
+        var distance = direction.length();
+        this.raycaster.set(cameraPosition, direction.normalize());
+        this.raycaster.far = distance;
+        var hit = this.raycaster.intersectObject(this.root, true).find((intersection) => !isClipped(intersection.point, this.clippingPlanes));
+        //the surface the hotspot sits on must not hide it
+        return hit != undefined && hit.distance < distance * 0.99;
+    }
+}
+
+/**
+ * Validate hotspots from JSON, dropping malformed entries with a warning.
+ * @param {*} json an array, or an object with a `hotspots` array
+ * @returns {Object[]}
+ */
+export function parseHotspots(json) {
+    var list = Array.isArray(json) ? json : json && json.hotspots;
+    if (!Array.isArray(list)) {
+        console.warn("3D-Viewer: hotspots must be an array");
+        return [];
+    }
+
+    var hotspots = [];
+    list.forEach(function (entry, index) {
+        var position = entry && entry.position;
+        if (!Array.isArray(position) || position.length != 3 || !position.every(isFinite)) {
+            console.warn("3D-Viewer: hotspot " + index + " needs a position [x, y, z]");
+            return;
+        }
+        hotspots.push({
+            id: entry.id != undefined ? String(entry.id) : String(index + 1),
+            label: entry.label != undefined ? String(entry.label) : "Hotspot " + (index + 1),
+            content: entry.content != undefined ? String(entry.content) : "",
+            position: new THREE.Vector3().fromArray(position)
+        });
+    });
+    return hotspots;
+}
+
+/**
+ * Hotspots declared in glTF node extras, as `"extras": { "hotspot": true }`
+ * or `"extras": { "hotspot": { "label": "...", "content": "..." } }`.
+ * Positions are returned relative to `root`.
+ * @param {THREE.Object3D} root
+ * @param {Object} [parser] the GLTFParser, to label hotspots with the node
+ * names from the file rather than the sanitized `Object3D.name`
+ */
+export function hotspotsFromExtras(root, parser) {
+    var hotspots = [];
+    root.updateWorldMatrix(true, true);
+    var toRoot = new THREE.Matrix4().copy(root.matrixWorld).invert();
+
+    root.traverse(function (node) {
+        var extra = node.userData && node.userData.hotspot;
+        if (!extra)
+            return;
+        var details = typeof extra == "object" ? extra : {};
+        var name = node.name;
+        var association = parser && parser.associations.get(node);
+        if (association && association.type == "nodes")
+            name = parser.json.nodes[association.index].name || name;
+        hotspots.push({
+            id: details.id != undefined ? String(details.id) : name || node.uuid,
+            label: details.label != undefined ? String(details.label) : name || "Hotspot",
+            content: details.content != undefined ? String(details.content) : "",
+            position: new THREE.Vector3().setFromMatrixPosition(node.matrixWorld).applyMatrix4(toRoot)
+        });
+    });
+    return hotspots;
+}
+
+const ALLOWED_TAGS = ["A", "B", "BR", "EM", "H1", "H2", "H3", "H4", "I", "IMG", "LI", "OL", "P", "SMALL", "SPAN", "STRONG", "U", "UL"];
+const ALLOWED_ATTRIBUTES = { A: ["href", "title"], IMG: ["src", "alt", "width", "height"] };
+
+/**
+ * Parse card content, keeping only basic formatting, links and images.
+ * Hotspot files come from third parties, so no scripts, handlers or styles.
+ * @param {string} html
+ * @returns {DocumentFragment}
+ */
+export function sanitizeHtml(html) {
+    var source = new DOMParser().parseFromString(html, "text/html").body;
+    var fragment = document.createDocumentFragment();
+    copyAllowed(source, fragment);
+    return fragment;
+}
+
+function copyAllowed(source, target) {
+    source.childNodes.forEach(function (node) {
+        if (node.nodeType == Node.TEXT_NODE) {
+            target.appendChild(document.createTextNode(node.textContent));
+            return;
+        }
+        if (node.nodeType != Node.ELEMENT_NODE)
+            return;
+        if (ALLOWED_TAGS.indexOf(node.tagName) < 0) {
+            //keep the text of unknown wrappers, drop scripts and styles entirely
+            if (node.tagName != "SCRIPT" && node.tagName != "STYLE")
+                copyAllowed(node, target);
+            return;
+        }
+
+        var element = document.createElement(node.tagName);
+        (ALLOWED_ATTRIBUTES[node.tagName] || []).forEach(function (name) {
+            var value = node.getAttribute(name);
+            if (value == null)
+                return;
+            if ((name == "href" || name == "src") && !/^(https?:|mailto:|data:image\/)/i.test(value.trim()))
+                return;
+            element.setAttribute(name, value);
+        });
+        if (node.tagName == "A") {
+            element.target = "_blank";
+            element.rel = "noopener noreferrer";
+        }
+        copyAllowed(node, element);
+        target.appendChild(element);
+    });
+}
@@ -0,0 +1,104 @@
+/**
+ * Image-based lighting and tone mapping. The environment is either the
+ * procedural studio room or an equirectangular `.hdr`, prefiltered with
+ * PMREM and assigned to `scene.environment` so PBR materials reflect it.
+ */
+export const ToneMappings = {
+    none: THREE.NoToneMapping,
+    linear: THREE.LinearToneMapping,
+    reinhard: THREE.ReinhardToneMapping,
+    filmic: THREE.CineonToneMapping,
+    aces: THREE.ACESFilmicToneMapping
+};
+
+export class EnvironmentLighting {
+    /**
+     * @param {THREE.WebGLRenderer} renderer
+     * @param {THREE.Scene} scene
+     */
+    constructor(renderer, scene) {
+        this.renderer = renderer;
+        this.scene = scene;
+        this.pmrem = new THREE.PMREMGenerator(renderer);
+        this.target = null;
+        this.source = "none";
+
+        renderer.outputEncoding = THREE.sRGBEncoding;
+    }
+
+    /**
+     * @param {string} source `studio`, `none` or the URL of an equirectangular .hdr
+     * @returns {Promise<void>}
+     */
+    setEnvironment(source) {
+        this.source = source;
+        if (source == "none") {
+            this.apply(null);
+            return Promise.resolve();
+        }
+        if (source == "studio") {
+            this.apply(this.pmrem.fromScene(new THREE.RoomEnvironment(), 0.04));
+            return Promise.resolve();
+        }
+
+        //fetched and parsed here rather than with RGBELoader.load, which never
+        //calls back when a file downloads but is not a readable .hdr
+        return fetch(source).then(function (response) {
+            if (!response.ok)
+                throw new Error("HTTP " + response.status + " loading environment " + source);
+            return response.arrayBuffer();
+        }).then((buffer) => {
+            var data = new THREE.RGBELoader().setDataType(THREE.HalfFloatType).parse(buffer);
+            if (data == null)
+                throw new Error("Not a Radiance .hdr image: " + source);
+            //a newer request won the race
+            if (this.source != source)
+                return;
+            var texture = new THREE.DataTexture(data.data, data.width, data.height, data.format, data.type);
+            texture.encoding = THREE.LinearEncoding;
+            texture.minFilter = THREE.LinearFilter;
+            texture.magFilter = THREE.LinearFilter;
+            texture.generateMipmaps = false;
+            texture.flipY = true;
+            texture.needsUpdate = true;
+            this.apply(this.pmrem.fromEquirectangular(texture));
+            texture.dispose();
+        });
+    }
+
+    apply(target) {
+        if (this.target != null)
+            this.target.dispose();
+        this.target = target;
+        this.scene.environment = target != null ? target.texture : null;
+    }
+
+    /**
+     * @param {string} name a key of ToneMappings
+     */
+    setToneMapping(name) {
+        if (!(name in ToneMappings))
+            throw new Error("Unknown tone mapping: " + name);
+        if (this.renderer.toneMapping == ToneMappings[name])
+            return;
+        this.renderer.toneMapping = ToneMappings[name];
+        //three.js only picks up a new tone mapping in materials that are compiled again
+        this.scene.traverse(function (object) {
+            if (object.material != undefined)
+                [].concat(object.material).forEach((material) => material.needsUpdate = true);
+        });
+    }
+
+    get toneMapping() {
+        var renderer = this.renderer;
+        return Object.keys(ToneMappings).find((name) => ToneMappings[name] == renderer.toneMapping);
+    }
+
+    setExposure(exposure) {
+        this.renderer.toneMappingExposure = exposure;
+    }
+
+    get exposure() {
+        return this.renderer.toneMappingExposure;
+    }
+}
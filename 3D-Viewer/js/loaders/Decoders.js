@@ -0,0 +1,54 @@
+import { LoadError, LoadErrorCategory } from "./LoadError.js";
+import { KTX2Loader } from "./KTX2Loader.js";
+
+/**
+ * Decoders for compressed glTF content: Draco meshes, KTX2 (Basis
+ * Universal) textures and meshopt buffers. Their WebAssembly files ship in
+ * js/libs, so compressed models load offline and without a CDN. A decoder
+ * that cannot be loaded fails the model with a LoadError naming it.
+ */
+export const DecoderPaths = {
+    draco: new URL("../libs/draco/gltf/", import.meta.url).href,
+    basis: new URL("../libs/basis/", import.meta.url).href
+};
+
+/**
+ * @param {THREE.GLTFLoader} gltfLoader
+ * @param {THREE.WebGLRenderer} renderer decides which GPU format KTX2 textures are transcoded to
+ */
+export function setupDecoders(gltfLoader, renderer) {
+    gltfLoader.setDRACOLoader(new LocalDRACOLoader().setDecoderPath(DecoderPaths.draco));
+
+    var ktx2Loader = new KTX2Loader();
+    ktx2Loader.basisLoader = new LocalBasisTextureLoader();
+    ktx2Loader.setTranscoderPath(DecoderPaths.basis).detectSupport(renderer);
+    gltfLoader.setKTX2Loader(ktx2Loader);
+
+    //meshopt_decoder.js embeds its WebAssembly, there is no file to fetch
+    if (typeof MeshoptDecoder != "undefined")
+        gltfLoader.setMeshoptDecoder(MeshoptDecoder);
+}
+
+//the r131 loaders cache a failed download forever, forget it so that Retry fetches again
+class LocalDRACOLoader extends THREE.DRACOLoader {
+    _initDecoder() {
+        return super._initDecoder().catch((error) => {
+            this.decoderPending = null;
+            throw decoderError("Draco decoder", this.decoderPath, error);
+        });
+    }
+}
+
+class LocalBasisTextureLoader extends THREE.BasisTextureLoader {
+    _initTranscoder() {
+        return super._initTranscoder().catch((error) => {
+            this.transcoderPending = null;
+            throw decoderError("KTX2 (Basis Universal) transcoder", this.transcoderPath, error);
+        });
+    }
+}
+
+function decoderError(name, path, cause) {
+    console.error(cause);
+    return new LoadError(LoadErrorCategory.DECODER, "The " + name + " needed by this model could not be loaded from " + path + ".", path);
+}
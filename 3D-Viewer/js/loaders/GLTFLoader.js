@@ -54,6 +54,11 @@
 				return new GLTFMeshoptCompression( parser );
 
 			} );
+			this.register( function ( parser ) {
+
+				return new GLTFMaterialsVariantsExtension( parser );
+
+			} );
 
 		}
 
@@ -339,6 +344,7 @@
 		KHR_MATERIALS_SPECULAR: 'KHR_materials_specular',
 		KHR_MATERIALS_TRANSMISSION: 'KHR_materials_transmission',
 		KHR_MATERIALS_UNLIT: 'KHR_materials_unlit',
+		KHR_MATERIALS_VARIANTS: 'KHR_materials_variants',
 		KHR_MATERIALS_VOLUME: 'KHR_materials_volume',
 		KHR_TEXTURE_BASISU: 'KHR_texture_basisu',
 		KHR_TEXTURE_TRANSFORM: 'KHR_texture_transform',
@@ -811,6 +817,163 @@
 
 		}
 
+	}
+	/**
+ * Materials variants Extension
+ *
+ * Specification: https://github.com/KhronosGroup/glTF/tree/master/extensions/2.0/Khronos/KHR_materials_variants
+ *
+ * Variant materials are only loaded, textures included, when their variant
+ * is first selected. The result gets `variants`, the variant names, and
+ * `selectVariant( nameOrIndex )`, which returns a Promise resolved once the
+ * materials are in place. `null` restores the default materials.
+ */
+
+
+	class GLTFMaterialsVariantsExtension {
+
+		constructor( parser ) {
+
+			this.parser = parser;
+			this.name = EXTENSIONS.KHR_MATERIALS_VARIANTS;
+			this.variants = [];
+			this.entries = [];
+			this.selection = 0;
+
+		}
+
+		afterRoot( gltf ) {
+
+			const parser = this.parser;
+			const json = parser.json;
+			if ( ! json.extensions || ! json.extensions[ this.name ] ) return null;
+			const variantDefs = json.extensions[ this.name ].variants || [];
+			this.variants = variantDefs.map( function ( variantDef, index ) {
+
+				return variantDef.name || 'variant_' + index;
+
+			} );
+			const entries = this.entries;
+			const visited = new Set();
+
+			for ( let i = 0; i < gltf.scenes.length; i ++ ) {
+
+				gltf.scenes[ i ].traverse( function ( object ) {
+
+					const association = parser.associations.get( object );
+					if ( ! association || association.type !== 'nodes' || visited.has( object ) ) return;
+					visited.add( object );
+					const nodeDef = json.nodes[ association.index ];
+					if ( nodeDef.mesh === undefined ) return;
+					const primitives = json.meshes[ nodeDef.mesh ].primitives;
+					const meshes = primitiveObjects( parser, object );
+
+					for ( let j = 0; j < primitives.length && j < meshes.length; j ++ ) {
+
+						const extension = primitives[ j ].extensions && primitives[ j ].extensions[ EXTENSIONS.KHR_MATERIALS_VARIANTS ];
+						if ( ! extension ) continue;
+						entries.push( {
+							mesh: meshes[ j ],
+							material: meshes[ j ].material,
+							mappings: extension.mappings || []
+						} );
+
+					}
+
+				} );
+
+			}
+
+			gltf.variants = this.variants;
+			gltf.selectVariant = this.selectVariant.bind( this );
+			return null;
+
+		}
+
+		selectVariant( variant ) {
+
+			const parser = this.parser;
+			const index = typeof variant === 'number' ? variant : this.variants.indexOf( variant );
+
+			if ( variant !== null && ( index < 0 || index >= this.variants.length ) ) {
+
+				return Promise.reject( new Error( 'THREE.GLTFLoader: Unknown material variant: ' + variant ) );
+
+			}
+
+			const selection = ++ this.selection;
+			return Promise.all( this.entries.map( function ( entry ) {
+
+				const mapping = variant === null ? undefined : entry.mappings.find( function ( mapping ) {
+
+					return mapping.variants.indexOf( index ) !== - 1;
+
+				} );
+				if ( mapping === undefined ) return null;
+				return parser.getDependency( 'material', mapping.material );
+
+			} ) ).then( function ( materials ) {
+
+				// a later selection finished first, or is still loading
+				if ( selection !== this.selection ) return;
+
+				for ( let i = 0; i < this.entries.length; i ++ ) {
+
+					const entry = this.entries[ i ];
+
+					if ( materials[ i ] === null ) {
+
+						entry.mesh.material = entry.material;
+
+					} else {
+
+						entry.mesh.material = materials[ i ];
+						parser.assignFinalMaterial( entry.mesh );
+
+					}
+
+				}
+
+			}.bind( this ) );
+
+		}
+
+	}
+	/**
+ * The meshes made from a node's mesh primitives, in primitive order. A
+ * single primitive is the node itself; several are grouped, next to child
+ * nodes, which are told apart by their association with a glTF node.
+ */
+
+
+	function primitiveObjects( parser, node ) {
+
+		if ( node.isMesh || node.isLine || node.isPoints ) return [ node ];
+		const objects = [];
+
+		( function collect( object ) {
+
+			for ( let i = 0; i < object.children.length; i ++ ) {
+
+				const child = object.children[ i ];
+				if ( parser.associations.has( child ) ) continue;
+
+				if ( child.isMesh || child.isLine || child.isPoints ) {
+
+					objects.push( child );
+
+				} else if ( child.isGroup ) {
+
+					collect( child );
+
+				}
+
+			}
+
+		} )( node );
+
+		return objects;
+
 	}
 	/**
  * BasisU THREE.Texture Extension
@@ -1141,7 +1304,7 @@
 
 			return parser.getDependency( 'bufferView', bufferViewIndex ).then( function ( bufferView ) {
 
-				return new Promise( function ( resolve ) {
+				return new Promise( function ( resolve, reject ) {
 
 					dracoLoader.decodeDracoFile( bufferView, function ( geometry ) {
 
@@ -1155,7 +1318,7 @@
 
 						resolve( geometry );
 
-					}, threeAttributeMap, attributeTypeMap );
+					}, threeAttributeMap, attributeTypeMap, reject );
 
 				} );
 
@@ -0,0 +1,84 @@
+/**
+ * A model load failure sorted into something the viewer can explain to the
+ * user. Loaders report failures as XHR events, Errors or plain strings;
+ * `LoadError.from` turns any of them into one of the categories below.
+ */
+export const LoadErrorCategory = {
+    NETWORK: "network",
+    CORS: "cors",
+    HTTP: "http",
+    PARSE: "parse",
+    UNSUPPORTED_EXTENSION: "unsupported-extension",
+    DECODER: "decoder"
+};
+
+const TITLES = {
+    network: "Network error",
+    cors: "Blocked by CORS",
+    http: "Server error",
+    parse: "Could not read the model",
+    "unsupported-extension": "Unsupported feature",
+    decoder: "Decoder missing"
+};
+
+//loader errors about a decoder that was never set up, and the decoder they need
+const MISSING_DECODERS = [
+    { pattern: /setDRACOLoader|DRACOLoader instance/, name: "Draco decoder" },
+    { pattern: /setKTX2Loader/, name: "KTX2 (Basis Universal) transcoder" },
+    { pattern: /setMeshoptDecoder/, name: "meshopt decoder" }
+];
+
+export class LoadError extends Error {
+    constructor(category, message, url, status) {
+        super(message);
+        this.name = "LoadError";
+        this.category = category;
+        this.title = TITLES[category];
+        this.url = url;
+        this.status = status;
+    }
+
+    /**
+     * @param {*} error whatever the loader passed to its onError callback
+     * @param {string} url
+     * @returns {Promise<LoadError>}
+     */
+    static async from(error, url) {
+        if (error instanceof LoadError)
+            return error;
+
+        //FileLoader hands over the XHR event itself
+        var request = error && error.target instanceof XMLHttpRequest ? error.target : null;
+        if (request != null) {
+            if (request.status > 0)
+                return new LoadError(LoadErrorCategory.HTTP, "The server answered " + request.status + (request.statusText ? " " + request.statusText : "") + ".", url, request.status);
+            if (await isReachableWithoutCors(url))
+                return new LoadError(LoadErrorCategory.CORS, "The server does not allow this page to read the file. It must send an Access-Control-Allow-Origin header.", url);
+            return new LoadError(LoadErrorCategory.NETWORK, "The file could not be downloaded. Check the address and your connection.", url);
+        }
+
+        var message = String(error && error.message || error);
+        var missing = MISSING_DECODERS.find((decoder) => decoder.pattern.test(message));
+        if (missing != undefined)
+            return new LoadError(LoadErrorCategory.DECODER, "The model needs the " + missing.name + ", which is not available.", url);
+        if (/Unknown extension|no longer supported|required by asset but unsupported/.test(message))
+            return new LoadError(LoadErrorCategory.UNSUPPORTED_EXTENSION, message, url);
+        return new LoadError(LoadErrorCategory.PARSE, message, url);
+    }
+}
+
+/**
+ * A failed request with status 0 is either a network failure or a CORS
+ * rejection. An opaque no-cors request still succeeds in the second case.
+ */
+async function isReachableWithoutCors(url) {
+    try {
+        if (new URL(url, location.href).origin == location.origin)
+            return false;
+        await fetch(url, { mode: "no-cors", method: "HEAD" });
+        return true;
+    }
+    catch (e) {
+        return false;
+    }
+}
@@ -0,0 +1,159 @@
+/**
+ * A set of files picked or dropped by the user, keyed by their path relative
+ * to the drop. Used as a LoadingManager URL modifier, it lets a `.gltf` find
+ * its `.bin` and textures without anything being uploaded.
+ */
+const MODEL_EXTENSIONS = ["gltf", "glb", "fbx"];
+
+export class LocalFiles {
+    /**
+     * @param {Array<{path: string, file: File}>} entries
+     */
+    constructor(entries) {
+        this.files = new Map();
+        this.urls = new Map();
+        entries.forEach((entry) => this.files.set(normalizePath(entry.path), entry.file));
+    }
+
+    /**
+     * Files from an `<input type="file">`, with or without `webkitdirectory`.
+     * @param {FileList} fileList
+     */
+    static fromFileList(fileList) {
+        return new LocalFiles(Array.from(fileList).map(function (file) {
+            return { path: file.webkitRelativePath || file.name, file: file };
+        }));
+    }
+
+    /**
+     * Files from a drop event, walking into dropped folders where the
+     * browser supports it.
+     * @param {DataTransfer} dataTransfer
+     * @returns {Promise<LocalFiles>}
+     */
+    static async fromDataTransfer(dataTransfer) {
+        var items = Array.from(dataTransfer.items || []);
+        var entries = items.map((item) => item.webkitGetAsEntry ? item.webkitGetAsEntry() : null);
+        if (entries.length == 0 || entries.some((entry) => entry == null))
+            return LocalFiles.fromFileList(dataTransfer.files);
+
+        var files = [];
+        await Promise.all(entries.map((entry) => readEntry(entry, files)));
+        return new LocalFiles(files);
+    }
+
+    /**
+     * Path of the model to load: the shallowest `.gltf`, else `.glb`, else `.fbx`.
+     * @returns {string|undefined}
+     */
+    rootPath() {
+        var paths = Array.from(this.files.keys());
+        for (var i = 0; i < MODEL_EXTENSIONS.length; i++) {
+            var candidates = paths.filter((path) => extensionOf(path) == MODEL_EXTENSIONS[i]);
+            candidates.sort((a, b) => a.split("/").length - b.split("/").length);
+            if (candidates.length > 0)
+                return candidates[0];
+        }
+        return undefined;
+    }
+
+    /**
+     * LoadingManager URL modifier. Relative references are matched by path
+     * first and by file name second; anything else is left untouched.
+     */
+    resolveURL(url) {
+        if (/^(blob|data|https?):/i.test(url))
+            return url;
+
+        var path = normalizePath(safeDecode(url.split(/[?#]/)[0]));
+        var file = this.files.get(path);
+        if (file == undefined) {
+            var name = path.split("/").pop();
+            for (var [key, value] of this.files) {
+                if (key.split("/").pop() == name) {
+                    file = value;
+                    break;
+                }
+            }
+        }
+        if (file == undefined)
+            return url;
+
+        if (!this.urls.has(file))
+            this.urls.set(file, URL.createObjectURL(file));
+        return this.urls.get(file);
+    }
+
+    dispose() {
+        this.urls.forEach((url) => URL.revokeObjectURL(url));
+        this.urls.clear();
+    }
+}
+
+function readEntry(entry, files) {
+    if (entry.isFile) {
+        return new Promise(function (resolve, reject) {
+            entry.file(function (file) {
+                files.push({ path: entry.fullPath, file: file });
+                resolve();
+            }, reject);
+        });
+    }
+    if (entry.isDirectory) {
+        return readDirectory(entry).then(function (children) {
+            return Promise.all(children.map((child) => readEntry(child, files)));
+        });
+    }
+    return Promise.resolve();
+}
+
+//readEntries hands out directory listings in batches until it returns none
+function readDirectory(directory) {
+    var reader = directory.createReader();
+    var entries = [];
+    return new Promise(function (resolve, reject) {
+        function next() {
+            reader.readEntries(function (batch) {
+                if (batch.length == 0) {
+                    resolve(entries);
+                    return;
+                }
+                entries = entries.concat(batch);
+                next();
+            }, reject);
+        }
+        next();
+    });
+}
+
+function normalizePath(path) {
+    var parts = [];
+    path.replace(/\\/g, "/").split("/").forEach(function (part) {
+        if (part == "" || part == ".")
+            return;
+        if (part == "..")
+            parts.pop();
+        else
+            parts.push(part);
+    });
+    return parts.join("/");
+}
+
+function extensionOf(path) {
+    return path.split(".").pop().toLowerCase();
+}
+
+/**
+ * decodeURIComponent that leaves a malformed escape, such as a literal `%`
+ * in a file name, as it is rather than throwing.
+ * @param {string} url
+ * @returns {string}
+ */
+export function safeDecode(url) {
+    try {
+        return decodeURIComponent(url);
+    }
+    catch (e) {
+        return url;
+    }
+}
@@ -0,0 +1,150 @@
+import { LoadError, LoadErrorCategory } from "./LoadError.js";
+
+/**
+ * Loads glTF, GLB and FBX models from a single entry point. The file is
+ * downloaded once as an ArrayBuffer, its format is detected and it is handed
+ * to the matching three.js loader's `parse`. Whatever the format, `onLoad`
+ * receives `{ format, scene, animations, parser, variants, selectVariant }`.
+ * `parser` is only set for glTF; `variants` lists the KHR_materials_variants
+ * names, empty when there are none, and `selectVariant` is then null.
+ */
+export const ModelFormat = {
+    GLTF: "gltf",
+    GLB: "glb",
+    FBX: "fbx"
+};
+
+const FBX_BINARY_MAGIC = "Kaydara FBX Binary  \0";
+
+export class ModelLoader extends THREE.Loader {
+    constructor(manager) {
+        super(manager);
+        this.gltfLoader = new THREE.GLTFLoader(this.manager);
+        this.fbxLoader = new THREE.FBXLoader(this.manager);
+    }
+
+    load(url, onLoad, onProgress, onError) {
+        var scope = this;
+        var resolvedUrl = this.manager.resolveURL(this.path + url);
+        var request = new XMLHttpRequest();
+        request.open("GET", resolvedUrl, true);
+        request.responseType = "arraybuffer";
+        request.withCredentials = this.withCredentials;
+        for (var header in this.requestHeader)
+            request.setRequestHeader(header, this.requestHeader[header]);
+
+        request.addEventListener('load', function (event) {
+            //status 0 is what file:, data: and blob: URLs report on success
+            if (this.status !== 200 && this.status !== 0) {
+                onError(event);
+                scope.manager.itemError(url);
+                scope.manager.itemEnd(url);
+                return;
+            }
+            var contentType = this.getResponseHeader("Content-Type");
+            scope.parse(this.response, url, contentType, function (result) {
+                onLoad(result);
+                scope.manager.itemEnd(url);
+            }, function (error) {
+                onError(error);
+                scope.manager.itemError(url);
+                scope.manager.itemEnd(url);
+            });
+        }, false);
+        request.addEventListener('progress', function (event) {
+            if (onProgress)
+                onProgress(event);
+        }, false);
+        request.addEventListener('error', function (event) {
+            onError(event);
+            scope.manager.itemError(url);
+            scope.manager.itemEnd(url);
+        }, false);
+
+        this.manager.itemStart(url);
+        request.send(null);
+    }
+
+    /**
+     * @param {ArrayBuffer} buffer
+     * @param {string} url used for the format hint and to resolve relative resources
+     * @param {string} [contentType]
+     */
+    parse(buffer, url, contentType, onLoad, onError) {
+        var format = detectFormat(buffer, contentType, url);
+        var resourcePath = this.resourcePath || this.path || THREE.LoaderUtils.extractUrlBase(url);
+
+        if (format == ModelFormat.GLTF || format == ModelFormat.GLB) {
+            this.gltfLoader.setCrossOrigin(this.crossOrigin);
+            this.gltfLoader.setWithCredentials(this.withCredentials);
+            this.gltfLoader.setRequestHeader(this.requestHeader);
+            try {
+                this.gltfLoader.parse(buffer, resourcePath, function (gltf) {
+                    onLoad({
+                        format: format,
+                        scene: gltf.scene,
+                        animations: gltf.animations,
+                        parser: gltf.parser,
+                        variants: gltf.variants || [],
+                        selectVariant: gltf.selectVariant || null
+                    });
+                }, onError);
+            }
+            catch (error) {
+                onError(error);
+            }
+            return;
+        }
+
+        if (format == ModelFormat.FBX) {
+            var group;
+            try {
+                this.fbxLoader.setCrossOrigin(this.crossOrigin);
+                group = this.fbxLoader.parse(buffer, resourcePath);
+            }
+            catch (error) {
+                onError(error);
+                return;
+            }
+            onLoad({ format: format, scene: group, animations: group.animations, parser: null, variants: [], selectVariant: null });
+            return;
+        }
+
+        onError(new LoadError(LoadErrorCategory.PARSE, "The file is not a glTF, GLB or FBX model.", url));
+    }
+}
+
+/**
+ * Magic bytes are trusted first, then the Content-Type header, then the
+ * file extension of the URL.
+ * @returns {string|undefined} a ModelFormat value
+ */
+export function detectFormat(buffer, contentType, url) {
+    var head = new Uint8Array(buffer, 0, Math.min(buffer.byteLength, 1024));
+    var text = THREE.LoaderUtils.decodeText(head);
+
+    if (text.startsWith("glTF"))
+        return ModelFormat.GLB;
+    if (text.startsWith(FBX_BINARY_MAGIC))
+        return ModelFormat.FBX;
+
+    var trimmed = text.replace(/^\uFEFF?\s*/, "");
+    if (trimmed.startsWith("{"))
+        return ModelFormat.GLTF;
+    if (trimmed.startsWith("; FBX") || text.indexOf("FBXHeaderExtension") >= 0)
+        return ModelFormat.FBX;
+
+    contentType = (contentType || "").toLowerCase();
+    if (contentType.indexOf("model/gltf-binary") >= 0)
+        return ModelFormat.GLB;
+    if (contentType.indexOf("model/gltf+json") >= 0)
+        return ModelFormat.GLTF;
+    if (contentType.indexOf("fbx") >= 0)
+        return ModelFormat.FBX;
+
+    var extension = (url || "").split(/[?#]/)[0].split(".").pop().toLowerCase();
+    if (extension == "glb" || extension == "gltf" || extension == "fbx")
+        return extension;
+
+    return undefined;
+}
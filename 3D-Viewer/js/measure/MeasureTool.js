@@ -0,0 +1,292 @@
+import { isClipped } from "../clipping/ClippingPlanes.js";
+
+/**
+ * Point-to-point measuring and bounding-box dimensions. Picked points and
+ * the box are kept in the model's own coordinates, as children of the
+ * model, so they follow the pivot and distances do not change with zoom.
+ */
+export const LengthUnits = {
+    m: 1,
+    cm: 0.01,
+    mm: 0.001,
+    in: 0.0254,
+    ft: 0.3048
+};
+
+//pointer travel in pixels up to which a press counts as a click, not a drag
+const CLICK_DISTANCE = 5;
+const OVERLAY_COLOR = 0xff6600;
+
+export class MeasureTool {
+    /**
+     * @param {HTMLElement} element the `#measure-layer` element, for labels
+     * @param {THREE.Camera} camera
+     * @param {HTMLElement} domElement the canvas that is clicked
+     * @param {Object} options
+     * @param {string} options.unit length of one model unit, a LengthUnits key
+     * @param {function(): void} options.onChange called when something needs drawing
+     * @param {function(Object): void} options.onMeasure called with each finished measurement
+     */
+    constructor(element, camera, domElement, options) {
+        this.element = element;
+        this.camera = camera;
+        this.domElement = domElement;
+        this.unit = options.unit;
+        this.onChange = options.onChange;
+        this.onMeasure = options.onMeasure;
+
+        this.root = null;
+        this.enabled = false;
+        this.points = [];
+        this.box = new THREE.Box3();
+        this.raycaster = new THREE.Raycaster();
+        //world-space section planes, what lies behind them cannot be picked
+        this.clippingPlanes = [];
+        this.pressed = null;
+
+        this.overlay = new THREE.Group();
+        this.overlay.name = "measure";
+        this.overlay.userData.overlay = true;
+        this.overlay.raycast = function () { };
+        var material = new THREE.MeshBasicMaterial({ color: OVERLAY_COLOR, depthTest: false, transparent: true });
+        this.markers = [0, 1].map(() => {
+            var marker = new THREE.Mesh(new THREE.SphereGeometry(1, 16, 8), material);
+            marker.renderOrder = 999;
+            marker.visible = false;
+            marker.raycast = function () { };
+            this.overlay.add(marker);
+            return marker;
+        });
+        this.line = new THREE.Line(new THREE.BufferGeometry().setFromPoints([new THREE.Vector3(), new THREE.Vector3()]), new THREE.LineBasicMaterial({ color: OVERLAY_COLOR, depthTest: false, transparent: true }));
+        this.line.renderOrder = 999;
+        this.line.visible = false;
+        this.line.raycast = function () { };
+        this.overlay.add(this.line);
+        this.boxHelper = new THREE.Box3Helper(this.box, OVERLAY_COLOR);
+        this.boxHelper.visible = false;
+        this.boxHelper.raycast = function () { };
+        this.overlay.add(this.boxHelper);
+
+        this.distanceLabel = createLabel(element);
+        this.dimensionLabels = ["width", "height", "depth"].map(() => createLabel(element));
+
+        this._onPointerDown = (event) => this.onPointerDown(event);
+        this._onPointerUp = (event) => this.onPointerUp(event);
+        domElement.addEventListener('pointerdown', this._onPointerDown, false);
+        domElement.addEventListener('pointerup', this._onPointerUp, false);
+    }
+
+    get dimensionsVisible() {
+        return this.boxHelper.visible;
+    }
+
+    /**
+     * @param {THREE.Object3D} root the model, or null
+     */
+    setModel(root) {
+        this.clear();
+        this.overlay.removeFromParent();
+        this.root = root;
+        if (root == null) {
+            this.box.makeEmpty();
+            this.update();
+            return;
+        }
+
+        modelBox(root, this.box);
+        var size = this.box.getSize(new THREE.Vector3()).length();
+        this.markers.forEach((marker) => marker.scale.setScalar(size / 200));
+        root.add(this.overlay);
+        this.onChange();
+    }
+
+    /**
+     * Turn click-to-measure on or off. Turning it off removes the measurement.
+     */
+    setEnabled(enabled) {
+        this.enabled = !!enabled;
+        this.domElement.style.cursor = this.enabled ? "crosshair" : "";
+        if (!this.enabled)
+            this.clear();
+    }
+
+    setDimensionsVisible(visible) {
+        this.boxHelper.visible = !!visible;
+        this.onChange();
+    }
+
+    setUnit(unit) {
+        if (!(unit in LengthUnits))
+            throw new Error("Unknown unit: " + unit);
+        this.unit = unit;
+        this.onChange();
+    }
+
+    /**
+     * Size of the model along its own axes, in model units.
+     * @returns {{width: number, height: number, depth: number}}
+     */
+    getDimensions() {
+        var size = this.box.isEmpty() ? new THREE.Vector3() : this.box.getSize(new THREE.Vector3());
+        return { width: size.x, height: size.y, depth: size.z };
+    }
+
+    clear() {
+        this.points = [];
+        this.markers.forEach((marker) => marker.visible = false);
+        this.line.visible = false;
+        this.onChange();
+    }
+
+    /**
+     * Add a measured point where a ray through a canvas position hits the model.
+     * @returns {boolean} whether the model was hit
+     */
+    pick(clientX, clientY) {
+        if (this.root == null)
+            return false;
+        var rect = this.domElement.getBoundingClientRect();
+        var pointer = new THREE.Vector2(
+            (clientX - rect.left) / rect.width * 2 - 1,
+            - (clientY - rect.top) / rect.height * 2 + 1
+        );
+        this.raycaster.setFromCamera(pointer, this.camera);
+        var hit = this.raycaster.intersectObject(this.root, true).find((intersection) => isShown(intersection.object) && !isClipped(intersection.point, this.clippingPlanes));
+        if (hit == undefined)
+            return false;
+
+        if (this.points.length == 2)
+            this.points = [];
+        this.points.push(this.root.worldToLocal(hit.point.clone()));
+        this.points.forEach((point, i) => {
+            this.markers[i].position.copy(point);
+            this.markers[i].visible = true;
+        });
+        this.markers[1].visible = this.points.length == 2;
+        this.line.visible = this.points.length == 2;
+
+        if (this.points.length == 2) {
+            this.line.geometry.setFromPoints(this.points);
+            this.onMeasure({
+                distance: this.points[0].distanceTo(this.points[1]),
+                points: this.points.map((point) => point.toArray())
+            });
+        }
+        this.onChange();
+        return true;
+    }
+
+    /**
+     * Move the labels to their points. Call after rendering.
+     */
+    update() {
+        var measuring = this.root != null && this.points.length == 2;
+        this.distanceLabel.hidden = !measuring;
+        if (measuring) {
+            var middle = this.points[0].clone().add(this.points[1]).multiplyScalar(0.5);
+            this.placeLabel(this.distanceLabel, middle, formatLength(this.points[0].distanceTo(this.points[1]), this.unit));
+        }
+
+        var showBox = this.root != null && this.boxHelper.visible && !this.box.isEmpty();
+        this.dimensionLabels.forEach((label) => label.hidden = !showBox);
+        if (!showBox)
+            return;
+        var min = this.box.min;
+        var max = this.box.max;
+        var center = this.box.getCenter(new THREE.Vector3());
+        var size = this.getDimensions();
+        //front bottom edge, front left edge, left bottom edge
+        this.placeLabel(this.dimensionLabels[0], new THREE.Vector3(center.x, min.y, max.z), "W " + formatLength(size.width, this.unit));
+        this.placeLabel(this.dimensionLabels[1], new THREE.Vector3(min.x, center.y, max.z), "H " + formatLength(size.height, this.unit));
+        this.placeLabel(this.dimensionLabels[2], new THREE.Vector3(min.x, min.y, center.z), "D " + formatLength(size.depth, this.unit));
+    }
+
+    placeLabel(label, localPoint, text) {
+        var screen = this.root.localToWorld(localPoint.clone()).project(this.camera);
+        label.hidden = screen.z < -1 || screen.z > 1;
+        label.textContent = text;
+        label.style.transform = "translate(" + ((screen.x + 1) / 2 * this.element.clientWidth) + "px, " + ((1 - screen.y) / 2 * this.element.clientHeight) + "px) translate(-50%, -50%)";
+    }
+
+    onPointerDown(event) {
+        this.pressed = event.isPrimary ? { x: event.clientX, y: event.clientY } : null;
+    }
+
+    onPointerUp(event) {
+        var pressed = this.pressed;
+        this.pressed = null;
+        if (!this.enabled || pressed == null || !event.isPrimary)
+            return;
+        if (Math.hypot(event.clientX - pressed.x, event.clientY - pressed.y) <= CLICK_DISTANCE)
+            this.pick(event.clientX, event.clientY);
+    }
+
+    dispose() {
+        this.setModel(null);
+        this.domElement.removeEventListener('pointerdown', this._onPointerDown, false);
+        this.domElement.removeEventListener('pointerup', this._onPointerUp, false);
+    }
+}
+
+/**
+ * A length in model units, in metric and imperial.
+ * @param {number} length model units
+ * @param {string} unit length of one model unit, a LengthUnits key
+ * @returns {string} e.g. `43.2 cm / 17.0 in`
+ */
+export function formatLength(length, unit) {
+    var meters = length * LengthUnits[unit];
+    var metric;
+    if (meters >= 1)
+        metric = meters.toFixed(3) + " m";
+    else if (meters >= 0.01)
+        metric = (meters * 100).toFixed(1) + " cm";
+    else
+        metric = (meters * 1000).toFixed(1) + " mm";
+    return metric + " / " + (meters / LengthUnits.in).toFixed(2) + " in";
+}
+
+function createLabel(parent) {
+    var label = document.createElement("span");
+    label.className = "measure-label";
+    label.hidden = true;
+    parent.appendChild(label);
+    return label;
+}
+
+//the raycaster also hits objects hidden in the inspector
+function isShown(object) {
+    for (var node = object; node != null; node = node.parent) {
+        if (!node.visible)
+            return false;
+    }
+    return true;
+}
+
+/**
+ * Bounds of the meshes in the root's own coordinates, whatever the pivot
+ * does. Overlays added by tools (`userData.overlay`) are left out.
+ * @param {THREE.Object3D} root
+ * @param {THREE.Box3} target
+ * @returns {THREE.Box3} target
+ */
+export function modelBox(root, target) {
+    target.makeEmpty();
+    root.updateWorldMatrix(true, true);
+    var toRoot = new THREE.Matrix4().copy(root.matrixWorld).invert();
+    var matrix = new THREE.Matrix4();
+    var box = new THREE.Box3();
+    var visit = function (object) {
+        if (object.userData.overlay)
+            return;
+        if (object.isMesh && object.geometry != undefined) {
+            if (object.geometry.boundingBox == null)
+                object.geometry.computeBoundingBox();
+            matrix.multiplyMatrices(toRoot, object.matrixWorld);
+            target.union(box.copy(object.geometry.boundingBox).applyMatrix4(matrix));
+        }
+        object.children.forEach(visit);
+    };
+    visit(root);
+    return target;
+}
@@ -0,0 +1,371 @@
+/**
+ * A floor under the models, touching the bottom of their bounds: a soft
+ * contact shadow and, if asked for, a faint mirror image of the models.
+ *
+ * The contact shadow is the models' depth seen from the floor looking up,
+ * darker where they are closer, blurred twice. The reflection is the scene
+ * drawn from the camera mirrored in the floor. Both are redrawn whenever
+ * the floor itself is drawn, so captures, turntables and either side of a
+ * comparison each get the shadow of what they show.
+ */
+const SHADOW_SIZE = 512;
+//blur radii, in texels of the shadow texture
+const SHADOW_BLUR = [3.5, 1.4];
+//floor size around the models' footprint, reflections reach further out than shadows
+const SHADOW_MARGIN = 1.5;
+const REFLECTION_MARGIN = 4;
+
+export class Ground {
+    /**
+     * @param {THREE.WebGLRenderer} renderer
+     * @param {THREE.Scene} scene
+     * @param {ModelSet} models
+     */
+    constructor(renderer, scene, models) {
+        this.renderer = renderer;
+        this.scene = scene;
+        this.models = models;
+        this.group = new THREE.Group();
+        this.group.name = "ground";
+        scene.add(this.group);
+        //world bounds of the visible models, as of the last update
+        this.box = new THREE.Box3();
+
+        var plane = new THREE.PlaneGeometry(1, 1).rotateX(- Math.PI / 2);
+        this.shadowTarget = createTarget(SHADOW_SIZE, SHADOW_SIZE);
+        //the shadow camera looks up from the floor, so seen from above its image is flipped
+        this.shadowTarget.texture.repeat.set(1, - 1);
+        this.shadowTarget.texture.offset.set(0, 1);
+        this.blurTarget = createTarget(SHADOW_SIZE, SHADOW_SIZE);
+        this.shadow = new THREE.Mesh(plane, new THREE.MeshBasicMaterial({
+            map: this.shadowTarget.texture,
+            transparent: true,
+            depthWrite: false,
+            toneMapped: false
+        }));
+        this.shadow.renderOrder = 1;
+        this.shadow.onBeforeRender = () => this.renderShadow();
+        this.group.add(this.shadow);
+
+        this.shadowCamera = new THREE.OrthographicCamera(- 0.5, 0.5, 0.5, - 0.5, 0, 1);
+        this.shadowCamera.rotation.x = Math.PI / 2;
+        this.group.add(this.shadowCamera);
+        this.depthMaterial = createDepthMaterial();
+        //blur passes draw one quad filling a unit camera
+        this.blurMaterial = createBlurMaterial();
+        this.blurPlane = new THREE.Mesh(new THREE.PlaneGeometry(1, 1), this.blurMaterial);
+        this.blurPlane.position.z = - 0.5;
+        this.blurPlane.updateMatrixWorld();
+        this.blurCamera = new THREE.OrthographicCamera(- 0.5, 0.5, 0.5, - 0.5, 0, 1);
+
+        this.reflectionTarget = createTarget(1, 1);
+        this.reflectionTarget.texture.encoding = renderer.outputEncoding;
+        this.reflection = new THREE.Mesh(plane, createReflectionMaterial(this.reflectionTarget.texture));
+        this.reflection.onBeforeRender = (renderer, scene, camera) => this.renderReflection(camera);
+        this.group.add(this.reflection);
+        this.mirrorCamera = new THREE.PerspectiveCamera();
+
+        this.setShadow(0);
+        this.setReflection(0);
+    }
+
+    /**
+     * @param {number} opacity darkness of the contact shadow, 0 turns it off
+     */
+    setShadow(opacity) {
+        if (!(typeof opacity == "number" && opacity >= 0 && opacity <= 1))
+            throw new Error("The ground shadow must be a number from 0 to 1");
+        this.shadow.material.opacity = opacity;
+        this.shadow.visible = opacity > 0;
+    }
+
+    /**
+     * @param {number} strength how much of the models the floor mirrors, 0 turns it off
+     */
+    setReflection(strength) {
+        if (!(typeof strength == "number" && strength >= 0 && strength <= 1))
+            throw new Error("The ground reflection must be a number from 0 to 1");
+        this.reflection.material.uniforms.opacity.value = strength;
+        this.reflection.visible = strength > 0;
+    }
+
+    /**
+     * Move the floor under the models as they are posed now. Call once per
+     * frame, before rendering.
+     * @param {Object[]} [entries] ModelSet entries the frame draws, when that
+     *     is not just the visible ones, as with the two sides of a comparison
+     */
+    update(entries) {
+        if (entries == undefined)
+            entries = this.models.entries.filter((entry) => entry.placement.visible);
+        this.models.pivot.updateWorldMatrix(true, true);
+        this.box.makeEmpty();
+        entries.forEach(function (entry) {
+            if (entry.root != null)
+                expandByMeshes(this.box, entry.root);
+        }, this);
+        this.group.visible = !this.box.isEmpty() && (this.shadow.visible || this.reflection.visible);
+        if (!this.group.visible)
+            return;
+
+        var center = this.box.getCenter(new THREE.Vector3());
+        var size = this.box.getSize(new THREE.Vector3());
+        var footprint = Math.max(size.x, size.z, size.y / 2);
+        this.group.position.set(center.x, this.box.min.y, center.z);
+        this.shadow.scale.set(footprint * SHADOW_MARGIN, 1, footprint * SHADOW_MARGIN);
+        this.reflection.scale.set(footprint * REFLECTION_MARGIN, 1, footprint * REFLECTION_MARGIN);
+
+        var camera = this.shadowCamera;
+        camera.left = camera.bottom = - footprint * SHADOW_MARGIN / 2;
+        camera.right = camera.top = footprint * SHADOW_MARGIN / 2;
+        camera.far = Math.max(size.y, 1e-3);
+        camera.updateProjectionMatrix();
+        this.group.updateMatrixWorld(true);
+    }
+
+    //depth of the models from below into the shadow texture, then blurred
+    renderShadow() {
+        var renderer = this.renderer;
+        var scene = this.scene;
+        this.nested(() => {
+            var hidden = hideOverlays(this.models.pivot);
+            var background = scene.background;
+            scene.background = null;
+            scene.overrideMaterial = this.depthMaterial;
+            this.group.visible = false;
+            renderer.setRenderTarget(this.shadowTarget);
+            renderer.render(scene, this.shadowCamera);
+            this.group.visible = true;
+            scene.overrideMaterial = null;
+            scene.background = background;
+            hidden.forEach((object) => object.visible = true);
+
+            SHADOW_BLUR.forEach(function (radius) {
+                this.blur(this.shadowTarget, this.blurTarget, radius / SHADOW_SIZE, 0);
+                this.blur(this.blurTarget, this.shadowTarget, 0, radius / SHADOW_SIZE);
+            }, this);
+        });
+    }
+
+    blur(source, target, x, y) {
+        this.blurMaterial.uniforms.map.value = source.texture;
+        this.blurMaterial.uniforms.step.value.set(x, y);
+        this.renderer.setRenderTarget(target);
+        this.renderer.render(this.blurPlane, this.blurCamera);
+    }
+
+    //the scene seen from the camera mirrored in the floor, as Reflector does it
+    renderReflection(camera) {
+        var normal = new THREE.Vector3(0, 1, 0);
+        var floor = new THREE.Vector3().setFromMatrixPosition(this.reflection.matrixWorld);
+        var eye = new THREE.Vector3().setFromMatrixPosition(camera.matrixWorld);
+        if (eye.y < floor.y)
+            return;
+
+        var rotation = new THREE.Matrix4().extractRotation(camera.matrixWorld);
+        var lookAt = new THREE.Vector3(0, 0, - 1).applyMatrix4(rotation).add(eye);
+        var mirror = this.mirrorCamera;
+        mirror.position.copy(floor).sub(eye).reflect(normal).negate().add(floor);
+        mirror.up.set(0, 1, 0).applyMatrix4(rotation).reflect(normal);
+        mirror.lookAt(new THREE.Vector3().subVectors(floor, lookAt).reflect(normal).negate().add(floor));
+        mirror.updateMatrixWorld();
+        mirror.projectionMatrix.copy(camera.projectionMatrix);
+
+        this.reflection.material.uniforms.textureMatrix.value
+            .set(0.5, 0, 0, 0.5, 0, 0.5, 0, 0.5, 0, 0, 0.5, 0.5, 0, 0, 0, 1)
+            .multiply(mirror.projectionMatrix)
+            .multiply(mirror.matrixWorldInverse)
+            .multiply(this.reflection.matrixWorld);
+
+        var size = this.renderer.getDrawingBufferSize(new THREE.Vector2()).multiplyScalar(0.5).floor();
+        if (this.reflectionTarget.width != size.x || this.reflectionTarget.height != size.y)
+            this.reflectionTarget.setSize(Math.max(1, size.x), Math.max(1, size.y));
+
+        var renderer = this.renderer;
+        var scene = this.scene;
+        this.nested(() => {
+            var hidden = hideOverlays(this.models.pivot);
+            var background = scene.background;
+            scene.background = null;
+            this.group.visible = false;
+            renderer.setRenderTarget(this.reflectionTarget);
+            renderer.render(scene, mirror);
+            this.group.visible = true;
+            scene.background = background;
+            hidden.forEach((object) => object.visible = true);
+        });
+    }
+
+    /**
+     * Run extra renders in the middle of another one: shadow maps are left
+     * alone, and the clear color, target and draw statistics are put back.
+     */
+    nested(callback) {
+        var renderer = this.renderer;
+        var target = renderer.getRenderTarget();
+        var clearColor = renderer.getClearColor(new THREE.Color());
+        var clearAlpha = renderer.getClearAlpha();
+        var shadowAutoUpdate = renderer.shadowMap.autoUpdate;
+        var info = Object.assign({}, renderer.info.render);
+        renderer.shadowMap.autoUpdate = false;
+        renderer.setClearColor(0x000000, 0);
+        try {
+            callback();
+        }
+        finally {
+            renderer.setRenderTarget(target);
+            renderer.setClearColor(clearColor, clearAlpha);
+            renderer.shadowMap.autoUpdate = shadowAutoUpdate;
+            Object.assign(renderer.info.render, info);
+        }
+    }
+
+    dispose() {
+        this.group.removeFromParent();
+        [this.shadowTarget, this.blurTarget, this.reflectionTarget].forEach((target) => target.dispose());
+        [this.shadow.material, this.reflection.material, this.depthMaterial, this.blurMaterial].forEach((material) => material.dispose());
+        this.shadow.geometry.dispose();
+        this.blurPlane.geometry.dispose();
+    }
+}
+
+/**
+ * Fit a directional light's shadow camera tightly around a box, so its
+ * shadow map is spent on the models and nothing in the box is cut off.
+ * The light keeps its direction.
+ * @param {THREE.DirectionalLight} light
+ * @param {THREE.Box3} box world bounds
+ */
+export function fitShadowCamera(light, box) {
+    if (box.isEmpty())
+        return;
+    var sphere = box.getBoundingSphere(new THREE.Sphere());
+    var radius = Math.max(sphere.radius, 1e-3);
+    var direction = light.position.clone().sub(light.target.position).normalize();
+    light.target.position.copy(sphere.center);
+    light.target.updateMatrixWorld();
+    light.position.copy(sphere.center).addScaledVector(direction, radius * 2);
+
+    var camera = light.shadow.camera;
+    camera.left = camera.bottom = - radius;
+    camera.right = camera.top = radius;
+    camera.near = radius;
+    camera.far = radius * 3;
+    camera.updateProjectionMatrix();
+    //about one shadow map texel, against acne on the models' own surfaces
+    light.shadow.normalBias = radius * 2 / light.shadow.mapSize.x;
+}
+
+function createTarget(width, height) {
+    var target = new THREE.WebGLRenderTarget(width, height);
+    target.texture.generateMipmaps = false;
+    return target;
+}
+
+//black, more opaque the nearer a surface is to the floor
+function createDepthMaterial() {
+    var material = new THREE.MeshDepthMaterial();
+    material.onBeforeCompile = function (shader) {
+        shader.fragmentShader = shader.fragmentShader.replace(
+            "gl_FragColor = vec4( vec3( 1.0 - fragCoordZ ), opacity );",
+            "gl_FragColor = vec4( vec3( 0.0 ), 1.0 - fragCoordZ );"
+        );
+    };
+    material.depthTest = false;
+    material.depthWrite = false;
+    return material;
+}
+
+//one direction of a 9-tap gaussian blur
+function createBlurMaterial() {
+    return new THREE.ShaderMaterial({
+        uniforms: {
+            map: { value: null },
+            step: { value: new THREE.Vector2() }
+        },
+        vertexShader: [
+            "varying vec2 vUv;",
+            "void main() {",
+            "    vUv = uv;",
+            "    gl_Position = projectionMatrix * modelViewMatrix * vec4( position, 1.0 );",
+            "}"
+        ].join("\n"),
+        fragmentShader: [
+            "uniform sampler2D map;",
+            "uniform vec2 step;",
+            "varying vec2 vUv;",
+            "void main() {",
+            "    vec4 sum = texture2D( map, vUv ) * 0.1633;",
+            "    sum += ( texture2D( map, vUv - step ) + texture2D( map, vUv + step ) ) * 0.1531;",
+            "    sum += ( texture2D( map, vUv - 2.0 * step ) + texture2D( map, vUv + 2.0 * step ) ) * 0.12245;",
+            "    sum += ( texture2D( map, vUv - 3.0 * step ) + texture2D( map, vUv + 3.0 * step ) ) * 0.0918;",
+            "    sum += ( texture2D( map, vUv - 4.0 * step ) + texture2D( map, vUv + 4.0 * step ) ) * 0.051;",
+            "    gl_FragColor = sum;",
+            "}"
+        ].join("\n"),
+        depthTest: false,
+        depthWrite: false
+    });
+}
+
+//the mirrored view, projected onto the floor and fading out towards its edge
+function createReflectionMaterial(texture) {
+    return new THREE.ShaderMaterial({
+        uniforms: {
+            map: { value: texture },
+            textureMatrix: { value: new THREE.Matrix4() },
+            opacity: { value: 0 }
+        },
+        vertexShader: [
+            "uniform mat4 textureMatrix;",
+            "varying vec4 vMirror;",
+            "varying vec2 vUv;",
+            "void main() {",
+            "    vMirror = textureMatrix * vec4( position, 1.0 );",
+            "    vUv = uv;",
+            "    gl_Position = projectionMatrix * modelViewMatrix * vec4( position, 1.0 );",
+            "}"
+        ].join("\n"),
+        fragmentShader: [
+            "uniform sampler2D map;",
+            "uniform float opacity;",
+            "varying vec4 vMirror;",
+            "varying vec2 vUv;",
+            "void main() {",
+            "    vec4 color = texture2DProj( map, vMirror );",
+            "    float fade = 1.0 - smoothstep( 0.2, 0.5, length( vUv - 0.5 ) );",
+            "    gl_FragColor = vec4( color.rgb, color.a * opacity * fade );",
+            "}"
+        ].join("\n"),
+        transparent: true,
+        depthWrite: false
+    });
+}
+
+//hide tool overlays for a pass, returning what to show again
+function hideOverlays(root) {
+    var hidden = [];
+    root.traverseVisible(function (object) {
+        if (object.userData.overlay) {
+            object.visible = false;
+            hidden.push(object);
+        }
+    });
+    return hidden;
+}
+
+//world bounds of the shown meshes below root, from their geometry bounds
+function expandByMeshes(box, root) {
+    var bounds = new THREE.Box3();
+    var visit = function (object) {
+        if (!object.visible || object.userData.overlay)
+            return;
+        if (object.isMesh && object.geometry != undefined) {
+            if (object.geometry.boundingBox == null)
+                object.geometry.computeBoundingBox();
+            box.union(bounds.copy(object.geometry.boundingBox).applyMatrix4(object.matrixWorld));
+        }
+        object.children.forEach(visit);
+    };
+    visit(root);
+}
@@ -0,0 +1,198 @@
+import { safeDecode } from "../loaders/LocalFiles.js";
+
+/**
+ * The models shown together in one viewer. Every model hangs off one
+ * shared pivot through two groups of its own:
+ *
+ *     pivot > placement > model pivot > model
+ *
+ * The placement carries the model's offset, rotation and scale and its
+ * spot in the layout; the model pivot is left to the controls, so a single
+ * model can be turned on its own. Models are kept in the order they were
+ * added, not the order they finished loading.
+ */
+export const Layouts = ["row", "none"];
+
+//space between models in a row, as a fraction of the widest one
+const ROW_GAP = 0.1;
+
+export class ModelSet {
+    /**
+     * @param {THREE.Scene} scene
+     * @param {string} layout one of Layouts: `row` puts models side by side,
+     * `none` keeps the coordinates they were authored in
+     */
+    constructor(scene, layout) {
+        this.pivot = new THREE.Group();
+        this.pivot.name = "models";
+        scene.add(this.pivot);
+        this.layout = layout;
+        //every model in the same place whatever the layout, for comparing them
+        this.overlaid = false;
+        this.entries = [];
+        //bounding sphere of all models around the pivot, for framing
+        this.radius = 0;
+    }
+
+    /**
+     * Keep a place for a model that is still loading.
+     * @param {string} url
+     * @param {Object} [placement] as in setPlacement
+     * @returns {Object} the entry, filled in by `add`
+     */
+    reserve(url, placement) {
+        var entry = {
+            url: url,
+            name: safeDecode(url.split(/[?#]/)[0].split("/").pop()) || url,
+            offset: new THREE.Vector3(),
+            rotation: new THREE.Euler(),
+            scale: 1,
+            placement: new THREE.Group(),
+            pivot: new THREE.Group(),
+            root: null,
+            box: new THREE.Box3()
+        };
+        entry.placement.add(entry.pivot);
+        this.setPlacement(entry, placement || {});
+        this.entries.push(entry);
+        return entry;
+    }
+
+    /**
+     * Put a loaded model in its reserved place.
+     * @param {Object} entry from `reserve`
+     * @param {THREE.Object3D} root
+     */
+    add(entry, root) {
+        if (this.entries.indexOf(entry) < 0)
+            return;
+        root.position.set(0, 0, 0);
+        root.rotation.set(0, 0, 0);
+        root.scale.set(1, 1, 1);
+        entry.box.setFromObject(root);
+        entry.root = root;
+        entry.pivot.add(root);
+        this.pivot.add(entry.placement);
+        this.update();
+    }
+
+    /**
+     * @returns {Object[]} the entries whose model has loaded, in order
+     */
+    loaded() {
+        return this.entries.filter((entry) => entry.root != null);
+    }
+
+    /**
+     * Change where one model sits. Omitted fields are kept; `null` puts one back to its default.
+     * @param {Object} entry
+     * @param {Object} placement
+     * @param {number[]} [placement.offset] `[x, y, z]` added to the model's place in the layout
+     * @param {number[]} [placement.rotation] `[x, y, z]` in degrees
+     * @param {number} [placement.scale]
+     */
+    setPlacement(entry, placement) {
+        if (placement.offset != null && !isVector(placement.offset))
+            throw new Error("A model offset must be three numbers");
+        if (placement.rotation != null && !isVector(placement.rotation))
+            throw new Error("A model rotation must be three numbers, in degrees");
+        if (placement.scale != null && !(typeof placement.scale == "number" && placement.scale > 0 && isFinite(placement.scale)))
+            throw new Error("A model scale must be a positive number");
+
+        if (placement.offset !== undefined)
+            entry.offset.fromArray(placement.offset || [0, 0, 0]);
+        if (placement.rotation !== undefined)
+            entry.rotation.fromArray((placement.rotation || [0, 0, 0]).map(THREE.MathUtils.degToRad));
+        if (placement.scale !== undefined)
+            entry.scale = placement.scale || 1;
+        this.update();
+    }
+
+    setLayout(layout) {
+        if (Layouts.indexOf(layout) < 0)
+            throw new Error("Unknown layout: " + layout);
+        this.layout = layout;
+        this.update();
+    }
+
+    setOverlaid(overlaid) {
+        this.overlaid = !!overlaid;
+        this.update();
+    }
+
+    /**
+     * Take a model out and free its geometry.
+     */
+    remove(entry) {
+        var index = this.entries.indexOf(entry);
+        if (index < 0)
+            return;
+        this.entries.splice(index, 1);
+        this.pivot.remove(entry.placement);
+        disposeModel(entry.placement);
+        this.update();
+    }
+
+    clear() {
+        this.entries.slice().forEach((entry) => this.remove(entry));
+    }
+
+    //lay the models out again and measure the whole set
+    update() {
+        var loaded = this.loaded();
+        var layout = this.overlaid ? "none" : this.layout;
+        var center = new THREE.Vector3();
+        if (layout == "none") {
+            var box = new THREE.Box3();
+            loaded.forEach((entry) => box.union(entry.box));
+            if (!box.isEmpty())
+                box.getCenter(center);
+        }
+
+        //row: centered models side by side along X, the row centered on the pivot
+        var widths = loaded.map((entry) => entry.box.getSize(new THREE.Vector3()).length() * entry.scale);
+        var gap = Math.max(0, ...widths) * ROW_GAP;
+        var x = - (widths.reduce((sum, width) => sum + width, 0) + gap * Math.max(0, loaded.length - 1)) / 2;
+
+        this.radius = 0;
+        loaded.forEach(function (entry, i) {
+            var modelCenter = entry.box.getCenter(new THREE.Vector3());
+            entry.root.position.copy(layout == "row" ? modelCenter : center).negate();
+            entry.placement.position.copy(entry.offset);
+            if (layout == "row") {
+                entry.placement.position.x += x + widths[i] / 2;
+                x += widths[i] + gap;
+            }
+            entry.placement.rotation.copy(entry.rotation);
+            entry.placement.scale.setScalar(entry.scale);
+
+            entry.placement.updateMatrix();
+            var sphereCenter = modelCenter.add(entry.root.position).applyMatrix4(entry.placement.matrix);
+            var radius = entry.box.getSize(new THREE.Vector3()).length() / 2 * entry.scale;
+            this.radius = Math.max(this.radius, sphereCenter.length() + radius);
+        }, this);
+    }
+}
+
+function isVector(value) {
+    return Array.isArray(value) && value.length == 3 && value.every((component) => typeof component == "number" && isFinite(component));
+}
+
+//free the GPU copies of a removed model's geometries, materials and textures;
+//overlays belong to the tools, which reuse them on the next model
+function disposeModel(object) {
+    if (object.userData.overlay)
+        return;
+    if (object.geometry)
+        object.geometry.dispose();
+    if (object.material) {
+        [].concat(object.material).forEach(function (material) {
+            Object.values(material).forEach(function (value) {
+                if (value && value.isTexture)
+                    value.dispose();
+            });
+            material.dispose();
+        });
+    }
+    object.children.forEach(disposeModel);
+}
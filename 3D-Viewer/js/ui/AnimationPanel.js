@@ -0,0 +1,89 @@
+/**
+ * Clip picker, transport buttons and timeline for an AnimationPlayer. The
+ * markup lives in index.html; the panel hides itself for static models.
+ * Call `refresh` from the player's `onChange`.
+ */
+export class AnimationPanel {
+    /**
+     * @param {HTMLElement} element the `#animation-panel` element
+     * @param {AnimationPlayer} player
+     */
+    constructor(element, player) {
+        this.element = element;
+        this.player = player;
+        this.clipSelect = element.querySelector(".animation-clip");
+        this.playButton = element.querySelector(".animation-play");
+        this.loopInput = element.querySelector(".animation-loop");
+        this.speedSelect = element.querySelector(".animation-speed");
+        this.timeline = element.querySelector(".animation-timeline");
+        this.timeLabel = element.querySelector(".animation-time");
+        this.scrubbing = false;
+        this.resumeAfterScrub = false;
+
+        this.clipSelect.addEventListener('change', () => player.select(Number(this.clipSelect.value)), false);
+        this.playButton.addEventListener('click', () => player.toggle(), false);
+        this.loopInput.addEventListener('change', () => player.setLoop(this.loopInput.checked), false);
+        this.speedSelect.addEventListener('change', () => player.setSpeed(Number(this.speedSelect.value)), false);
+
+        this.timeline.addEventListener('pointerdown', () => {
+            this.scrubbing = true;
+            this.resumeAfterScrub = player.playing;
+            player.pause();
+        }, false);
+        this.timeline.addEventListener('input', () => {
+            player.seek(Number(this.timeline.value));
+            this.updateTime();
+        }, false);
+        this.timeline.addEventListener('change', () => {
+            this.scrubbing = false;
+            if (this.resumeAfterScrub)
+                player.play();
+        }, false);
+
+        this.refresh();
+    }
+
+    /**
+     * Rebuild the controls from the player state.
+     */
+    refresh() {
+        var player = this.player;
+        this.element.hidden = player.clips.length == 0;
+        if (this.element.hidden)
+            return;
+
+        if (this.clipSelect.options.length != player.clips.length || Array.from(this.clipSelect.options).some((option, i) => option.textContent != clipLabel(player.clips[i], i))) {
+            this.clipSelect.innerHTML = "";
+            player.clips.forEach(function (clip, i) {
+                var option = document.createElement("option");
+                option.value = i;
+                option.textContent = clipLabel(clip, i);
+                this.clipSelect.appendChild(option);
+            }, this);
+        }
+        this.clipSelect.value = player.clipIndex;
+        this.playButton.textContent = player.playing ? "Pause" : "Play";
+        this.loopInput.checked = player.loop;
+        this.speedSelect.value = player.speed;
+        this.timeline.max = player.duration;
+        this.updateTime();
+    }
+
+    /**
+     * Move the timeline along with playback. Called every frame.
+     */
+    update() {
+        if (this.element.hidden || this.scrubbing)
+            return;
+        this.updateTime();
+    }
+
+    updateTime() {
+        this.timeline.value = this.player.time;
+        this.timeLabel.textContent = this.player.time.toFixed(2) + " / " + this.player.duration.toFixed(2) + " s";
+    }
+}
+
+function clipLabel(clip, index) {
+    return clip.name || "Clip " + (index + 1);
+}
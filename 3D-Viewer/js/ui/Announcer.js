@@ -0,0 +1,26 @@
+/**
+ * Reads short status messages to screen reader users through a polite live
+ * region, such as a model having loaded. The region lives in index.html and
+ * is visually hidden.
+ */
+export class Announcer {
+    /**
+     * @param {HTMLElement} element the `#announcer` element, with `aria-live`
+     */
+    constructor(element) {
+        this.element = element;
+        this.timer = 0;
+    }
+
+    /**
+     * @param {string} message
+     */
+    announce(message) {
+        //screen readers only speak changes, so clear first and repeats are read again
+        clearTimeout(this.timer);
+        this.element.textContent = "";
+        this.timer = setTimeout(() => {
+            this.element.textContent = message;
+        }, 100);
+    }
+}
@@ -0,0 +1,106 @@
+import { ClipAxes } from "../clipping/ClippingPlanes.js";
+
+const AXIS_LABELS = {
+    "x": "+X",
+    "y": "+Y",
+    "z": "+Z",
+    "-x": "−X",
+    "-y": "−Y",
+    "-z": "−Z",
+    "free": "Free"
+};
+
+/**
+ * One row per section plane, with an on/off toggle, the axis, the position
+ * and a button turning the plane to face the camera. The rows are built
+ * here; the rest of the markup lives in index.html. Call `refresh` when the
+ * planes are changed from elsewhere.
+ */
+export class ClippingPanel {
+    /**
+     * @param {HTMLFormElement} element the `#clipping-panel` form
+     * @param {ClippingPlanes} clipping
+     * @param {function(): void} onChange called after the user changed a plane
+     */
+    constructor(element, clipping, onChange) {
+        this.element = element;
+        this.clipping = clipping;
+        this.onChange = onChange;
+        this.capsInput = element.elements.caps;
+        var list = element.querySelector(".clipping-planes");
+        this.rows = clipping.planes.map((plane, index) => this.createRow(list, index));
+
+        this.capsInput.addEventListener('change', () => {
+            clipping.setCaps(this.capsInput.checked);
+            onChange();
+        }, false);
+        this.refresh();
+    }
+
+    createRow(list, index) {
+        var clipping = this.clipping;
+        var name = "Plane " + (index + 1);
+        var fieldset = document.createElement("fieldset");
+        var legend = document.createElement("legend");
+        legend.textContent = name;
+        fieldset.appendChild(legend);
+
+        var enabledLabel = document.createElement("label");
+        var enabled = document.createElement("input");
+        enabled.type = "checkbox";
+        enabledLabel.appendChild(enabled);
+        enabledLabel.appendChild(document.createTextNode(" On"));
+        fieldset.appendChild(enabledLabel);
+
+        var axis = document.createElement("select");
+        axis.setAttribute("aria-label", name + " axis");
+        ClipAxes.forEach(function (value) {
+            var option = document.createElement("option");
+            option.value = value;
+            option.textContent = AXIS_LABELS[value];
+            axis.appendChild(option);
+        });
+        fieldset.appendChild(axis);
+
+        var position = document.createElement("input");
+        position.type = "range";
+        position.min = 0;
+        position.max = 1;
+        position.step = 0.001;
+        position.setAttribute("aria-label", name + " position");
+        fieldset.appendChild(position);
+
+        var align = document.createElement("button");
+        align.type = "button";
+        align.textContent = "Face camera";
+        fieldset.appendChild(align);
+        list.appendChild(fieldset);
+
+        var change = (changes) => {
+            clipping.setPlane(index, changes);
+            this.onChange();
+        };
+        enabled.addEventListener('change', () => change({ enabled: enabled.checked }), false);
+        //picking an axis also turns the plane on, that is what it is picked for
+        axis.addEventListener('change', () => change({ enabled: true, axis: axis.value }), false);
+        position.addEventListener('input', () => change({ position: Number(position.value) }), false);
+        align.addEventListener('click', () => {
+            clipping.alignToView(index);
+            this.onChange();
+        }, false);
+        return { enabled: enabled, axis: axis, position: position };
+    }
+
+    /**
+     * Show the current plane settings.
+     */
+    refresh() {
+        this.clipping.toJSON().forEach(function (plane, index) {
+            var row = this.rows[index];
+            row.enabled.checked = plane.enabled;
+            row.axis.value = plane.axis;
+            row.position.value = plane.position;
+        }, this);
+        this.capsInput.checked = this.clipping.caps;
+    }
+}
@@ -0,0 +1,31 @@
+import { sanitizeHtml } from "../hotspots/HotspotLayer.js";
+
+/**
+ * Card with the title and rich-text content of the selected hotspot. The
+ * markup lives in index.html; content is sanitized before it is shown.
+ */
+export class HotspotCard {
+    /**
+     * @param {HTMLElement} element the `#hotspot-card` element
+     */
+    constructor(element) {
+        this.element = element;
+        this.title = element.querySelector(".hotspot-card-title");
+        this.content = element.querySelector(".hotspot-card-content");
+        this.hotspotId = null;
+
+        element.querySelector(".hotspot-card-close").addEventListener('click', () => this.hide(), false);
+    }
+
+    show(hotspot) {
+        this.hotspotId = hotspot.id;
+        this.title.textContent = hotspot.label;
+        this.content.replaceChildren(sanitizeHtml(hotspot.content));
+        this.element.hidden = false;
+    }
+
+    hide() {
+        this.hotspotId = null;
+        this.element.hidden = true;
+    }
+}
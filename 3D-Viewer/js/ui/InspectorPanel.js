@@ -0,0 +1,248 @@
+import { safeDecode } from "../loaders/LocalFiles.js";
+
+/**
+ * Scene graph, materials and render statistics of the loaded model, for
+ * finding out why a model looks wrong. The markup lives in index.html.
+ * Works on any Object3D tree, so GLTFLoader and FBXLoader output alike.
+ */
+const TEXTURE_SLOTS = [
+    "map", "normalMap", "roughnessMap", "metalnessMap", "aoMap", "emissiveMap",
+    "alphaMap", "bumpMap", "displacementMap", "lightMap", "specularMap", "envMap",
+    "clearcoatMap", "clearcoatNormalMap", "clearcoatRoughnessMap",
+    "sheenColorMap", "sheenRoughnessMap", "transmissionMap", "thicknessMap"
+];
+
+export class InspectorPanel {
+    /**
+     * @param {HTMLElement} element the `#inspector-panel` element
+     * @param {THREE.WebGLRenderer} renderer source of the per-frame statistics
+     * @param {function(): void} onChange called when a node is shown or hidden
+     */
+    constructor(element, renderer, onChange) {
+        this.element = element;
+        this.renderer = renderer;
+        this.onChange = onChange;
+        this.tree = element.querySelector(".inspector-tree");
+        this.materials = element.querySelector(".inspector-materials");
+        this.stats = {
+            triangles: element.querySelector(".stat-triangles"),
+            calls: element.querySelector(".stat-calls"),
+            geometries: element.querySelector(".stat-geometries"),
+            textures: element.querySelector(".stat-textures"),
+            memory: element.querySelector(".stat-memory")
+        };
+        this.root = null;
+        this.memory = 0;
+    }
+
+    get visible() {
+        return !this.element.hidden;
+    }
+
+    set visible(value) {
+        this.element.hidden = !value;
+        if (value)
+            this.update();
+    }
+
+    /**
+     * @param {THREE.Object3D} root the model, or null to empty the panel
+     * @param {function(THREE.Mesh): Object} [original] material and geometry a mesh was loaded
+     *     with, for when a debug view has swapped them; see RenderModeSwitcher.original
+     */
+    setModel(root, original) {
+        this.root = root;
+        this.tree.innerHTML = "";
+        this.materials.innerHTML = "";
+        this.memory = 0;
+        if (root == null) {
+            this.update();
+            return;
+        }
+
+        this.tree.appendChild(this.createNode(root, true));
+        var materials = collectMaterials(root, original);
+        materials.forEach((material) => this.materials.appendChild(createMaterial(material)));
+        this.memory = estimateMemory(root, original);
+        this.update();
+    }
+
+    /**
+     * Refresh the statistics from the last render. Cheap, call after every render.
+     */
+    update() {
+        if (this.element.hidden)
+            return;
+        var info = this.renderer.info;
+        this.stats.triangles.textContent = info.render.triangles.toLocaleString();
+        this.stats.calls.textContent = info.render.calls.toLocaleString();
+        this.stats.geometries.textContent = info.memory.geometries.toLocaleString();
+        this.stats.textures.textContent = info.memory.textures.toLocaleString();
+        this.stats.memory.textContent = formatBytes(this.memory);
+    }
+
+    //children are only built when a branch is opened, large hierarchies stay cheap
+    createNode(object, open) {
+        var item = document.createElement("li");
+        //a span rather than a label, so that clicking a name in a summary only folds it
+        var row = document.createElement("span");
+        var checkbox = document.createElement("input");
+        checkbox.type = "checkbox";
+        checkbox.checked = object.visible;
+        checkbox.setAttribute("aria-label", "Show " + (object.name || object.type));
+        checkbox.addEventListener('change', () => {
+            object.visible = checkbox.checked;
+            this.onChange();
+        }, false);
+        row.appendChild(checkbox);
+        row.appendChild(document.createTextNode(" " + (object.name || "(unnamed)") + " "));
+        var type = document.createElement("small");
+        type.textContent = object.type;
+        row.appendChild(type);
+
+        //overlays added by tools are not part of the model
+        var children = object.children.filter((child) => !child.userData.overlay);
+        if (children.length == 0) {
+            item.appendChild(row);
+            return item;
+        }
+
+        var details = document.createElement("details");
+        var summary = document.createElement("summary");
+        var list = document.createElement("ul");
+        summary.appendChild(row);
+        details.appendChild(summary);
+        details.appendChild(list);
+        details.addEventListener('toggle', () => {
+            if (details.open && list.childElementCount == 0)
+                children.forEach((child) => list.appendChild(this.createNode(child, false)));
+        }, false);
+        details.open = open;
+        item.appendChild(details);
+        return item;
+    }
+}
+
+function collectMaterials(root, original) {
+    var materials = new Set();
+    root.traverse(function (object) {
+        if (object.material == undefined || object.userData.overlay)
+            return;
+        //FBX meshes with several material groups carry an array
+        [].concat(loaded(object, original).material).forEach((material) => materials.add(material));
+    });
+    return Array.from(materials);
+}
+
+function createMaterial(material) {
+    var item = document.createElement("li");
+    var details = document.createElement("details");
+    var summary = document.createElement("summary");
+    summary.textContent = (material.name || "(unnamed)") + " ";
+    var type = document.createElement("small");
+    type.textContent = material.type;
+    summary.appendChild(type);
+    details.appendChild(summary);
+
+    var slots = document.createElement("dl");
+    TEXTURE_SLOTS.forEach(function (slot) {
+        var texture = material[slot];
+        if (!texture || !texture.isTexture)
+            return;
+        var term = document.createElement("dt");
+        term.textContent = slot;
+        var description = document.createElement("dd");
+        var size = imageSize(texture);
+        description.textContent = (texture.name || sourceName(texture) || "(unnamed)") + (size ? " " + size.width + "×" + size.height : "");
+        slots.appendChild(term);
+        slots.appendChild(description);
+    });
+    if (slots.childElementCount == 0) {
+        var none = document.createElement("p");
+        none.textContent = "No textures";
+        details.appendChild(none);
+    }
+    else {
+        details.appendChild(slots);
+    }
+    item.appendChild(details);
+    return item;
+}
+
+function sourceName(texture) {
+    var src = texture.image && texture.image.src;
+    if (!src || /^(blob|data):/.test(src))
+        return "";
+    return safeDecode(src.split(/[?#]/)[0].split("/").pop());
+}
+
+function imageSize(texture) {
+    if (texture.isCompressedTexture && texture.mipmaps.length > 0)
+        return { width: texture.mipmaps[0].width, height: texture.mipmaps[0].height };
+    var image = texture.image;
+    if (!image || !image.width)
+        return null;
+    return { width: image.width, height: image.height };
+}
+
+/**
+ * Rough GPU memory of the model: vertex and index buffers plus textures,
+ * assuming RGBA and a full mip chain where one is generated.
+ * @param {THREE.Object3D} root
+ * @param {function(THREE.Mesh): Object} [original] as for InspectorPanel.setModel
+ */
+export function estimateMemory(root, original) {
+    var buffers = new Set();
+    var textures = new Set();
+    root.traverse(function (object) {
+        if (object.userData.overlay)
+            return;
+        object = loaded(object, original);
+        var geometry = object.geometry;
+        if (geometry != undefined) {
+            if (geometry.index)
+                buffers.add(geometry.index.array);
+            Object.values(geometry.attributes).forEach((attribute) => buffers.add(attribute.isInterleavedBufferAttribute ? attribute.data.array : attribute.array));
+            Object.values(geometry.morphAttributes).forEach(function (attributes) {
+                attributes.forEach((attribute) => buffers.add(attribute.array));
+            });
+        }
+        if (object.material != undefined) {
+            [].concat(object.material).forEach(function (material) {
+                TEXTURE_SLOTS.forEach(function (slot) {
+                    if (material[slot] && material[slot].isTexture)
+                        textures.add(material[slot]);
+                });
+            });
+        }
+    });
+
+    var bytes = 0;
+    buffers.forEach((array) => bytes += array.byteLength);
+    textures.forEach((texture) => bytes += textureBytes(texture));
+    return bytes;
+}
+
+//the mesh as loaded rather than as a debug view draws it
+function loaded(object, original) {
+    return original != undefined && object.isMesh ? original(object) : object;
+}
+
+function textureBytes(texture) {
+    if (texture.isCompressedTexture)
+        return texture.mipmaps.reduce((sum, mipmap) => sum + mipmap.data.byteLength, 0);
+    var size = imageSize(texture);
+    if (size == null)
+        return 0;
+    var bytesPerTexel = texture.type == THREE.FloatType ? 16 : texture.type == THREE.HalfFloatType ? 8 : 4;
+    var bytes = size.width * size.height * bytesPerTexel;
+    return texture.generateMipmaps ? Math.round(bytes * 4 / 3) : bytes;
+}
+
+export function formatBytes(bytes) {
+    if (bytes < 1024)
+        return bytes + " B";
+    if (bytes < 1024 * 1024)
+        return (bytes / 1024).toFixed(1) + " KB";
+    return (bytes / 1024 / 1024).toFixed(1) + " MB";
+}
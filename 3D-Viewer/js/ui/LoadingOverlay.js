@@ -0,0 +1,67 @@
+import { formatBytes } from "./InspectorPanel.js";
+
+/**
+ * Progress bar shown while a model downloads and the error card shown when
+ * it fails. The markup lives in index.html; this only toggles and fills it.
+ */
+export class LoadingOverlay {
+    /**
+     * @param {HTMLElement} element the `#loading-overlay` element
+     * @param {function(): void} onRetry called when the retry button is pressed
+     */
+    constructor(element, onRetry) {
+        this.element = element;
+        this.progress = element.querySelector(".progress");
+        this.bar = element.querySelector(".progress-bar");
+        this.label = element.querySelector(".progress-label");
+        this.errorCard = element.querySelector(".error-card");
+        this.errorTitle = element.querySelector(".error-title");
+        this.errorMessage = element.querySelector(".error-message");
+        this.errorUrl = element.querySelector(".error-url");
+
+        element.querySelector(".retry-button").addEventListener('click', onRetry, false);
+    }
+
+    /**
+     * @param {number} loaded bytes received
+     * @param {number} total expected bytes, 0 when the server did not say
+     */
+    showProgress(loaded, total) {
+        this.element.hidden = false;
+        this.errorCard.hidden = true;
+        this.progress.hidden = false;
+
+        if (total > 0) {
+            var percent = Math.min(100, Math.round(loaded / total * 100));
+            this.progress.classList.remove("indeterminate");
+            this.bar.style.width = percent + "%";
+            this.label.textContent = percent + "%";
+            this.progress.setAttribute("aria-valuenow", percent);
+        }
+        else {
+            this.progress.classList.add("indeterminate");
+            this.bar.style.width = "";
+            this.label.textContent = loaded > 0 ? formatBytes(loaded) : "Loading…";
+            //an indeterminate progress bar has no value
+            this.progress.removeAttribute("aria-valuenow");
+        }
+    }
+
+    /**
+     * @param {LoadError} error
+     */
+    showError(error) {
+        this.element.hidden = false;
+        this.progress.hidden = true;
+        this.label.textContent = "";
+        this.errorCard.hidden = false;
+        this.errorCard.dataset.category = error.category;
+        this.errorTitle.textContent = error.title;
+        this.errorMessage.textContent = error.message;
+        this.errorUrl.textContent = error.url || "";
+    }
+
+    hide() {
+        this.element.hidden = true;
+    }
+}